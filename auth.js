@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Скоупи доступу до API. '*' — повний доступ.
+const Scopes = {
+    Send: 'send',
+    SessionAdmin: 'session-admin',
+    Groups: 'groups',
+    Health: 'health',
+    Media: 'media',
+    Events: 'events',
+    Admin: 'admin',
+    All: '*'
+};
+
+// Хеш ключа: порівнюємо хеші через timingSafeEqual, щоб не залежати від довжини ключа.
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// Ключ з заголовка X-API-Key або Authorization: Bearer <key>.
+function extractApiKey(req) {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) {
+        return headerKey.trim();
+    }
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Номер сесії, до якої звертається запит (params/body), для перевірки обмеження по номерах.
+function defaultPhoneResolver(req) {
+    const phone = req.params?.phone || req.body?.phone || req.body?.from;
+    return phone ? String(phone).trim() : null;
+}
+
+// Cookie сесії адмін-панелі: <expires>.<hmac>.
+const ADMIN_COOKIE = 'wa_admin';
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+// Вхід в адмін-панель (/admin) за ADMIN_USER/ADMIN_PASSWORD. Після входу браузер отримує HttpOnly cookie,
+// з якою API приймає запити панелі як від ключа з повним доступом ('*').
+class AdminSessionAuth {
+    constructor({ user, password, secret, ttlSec = 12 * 60 * 60 }) {
+        this.user = user;
+        this.password = password;
+        this.secret = secret;
+        this.ttlSec = ttlSec;
+    }
+
+    // Без ADMIN_SESSION_SECRET — випадковий секрет: після рестарту потрібно увійти знову.
+    static fromEnv() {
+        return new AdminSessionAuth({
+            user: process.env.ADMIN_USER,
+            password: process.env.ADMIN_PASSWORD,
+            secret: process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+            ttlSec: Number(process.env.ADMIN_SESSION_TTL_SEC) || 12 * 60 * 60
+        });
+    }
+
+    get isEnabled() {
+        return !!(this.user && this.password);
+    }
+
+    checkCredentials(user, password) {
+        if (!this.isEnabled) {
+            return false;
+        }
+        // Обидва порівняння виконуються завжди, щоб час відповіді не залежав від того, яке поле невірне.
+        const userMatches = crypto.timingSafeEqual(hashKey(user || ''), hashKey(this.user));
+        const passwordMatches = crypto.timingSafeEqual(hashKey(password || ''), hashKey(this.password));
+        return userMatches && passwordMatches;
+    }
+
+    sign(expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${this.user}.${expires}`).digest('hex');
+    }
+
+    // Параметри для res.cookie(): SameSite=Strict захищає API від CSRF з чужих сторінок.
+    issueCookie(now = Date.now()) {
+        const expires = Math.floor(now / 1000) + this.ttlSec;
+        return {
+            name: ADMIN_COOKIE,
+            value: `${expires}.${this.sign(expires)}`,
+            options: { httpOnly: true, sameSite: 'strict', path: '/', maxAge: this.ttlSec * 1000 }
+        };
+    }
+
+    // Principal адміністратора або null.
+    authenticate(req) {
+        if (!this.isEnabled) {
+            return null;
+        }
+        const [expires, signature] = String(parseCookies(req.headers.cookie)[ADMIN_COOKIE] || '').split('.');
+        if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        const expected = Buffer.from(this.sign(expires), 'hex');
+        const received = Buffer.from(signature, 'hex');
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return null;
+        }
+        return { name: `admin:${this.user}`, scopes: [Scopes.All], phones: null };
+    }
+
+    // Сторінки панелі: без ADMIN_USER/ADMIN_PASSWORD панель вимкнена, без входу — перенаправлення на login.html.
+    requirePage(publicPaths = []) {
+        return (req, res, next) => {
+            if (!this.isEnabled) {
+                return res.status(404).json({ status: 'error', message: 'Адмін-панель вимкнена: задайте ADMIN_USER і ADMIN_PASSWORD' });
+            }
+            if (publicPaths.includes(req.path) || this.authenticate(req)) {
+                return next();
+            }
+            res.redirect(`${req.baseUrl}/login.html`);
+        };
+    }
+}
+
+// Без ключів API закритий (401): відкритий доступ лише за явного AUTH_DISABLED=true.
+class ApiKeyAuth {
+    constructor(keys = [], { disabled = false } = {}) {
+        this.keys = keys.map((entry, index) => {
+            if (!entry || !entry.key) {
+                throw new Error(`API-ключ #${index + 1} не містить поля key`);
+            }
+            return {
+                name: entry.name || `key${index + 1}`,
+                hash: hashKey(entry.key),
+                scopes: Array.isArray(entry.scopes) ? entry.scopes : [],
+                phones: Array.isArray(entry.phones) && entry.phones.length > 0 ? entry.phones.map(phone => String(phone).trim()) : null
+            };
+        });
+        this.disabled = disabled;
+        // Вхід через адмін-панель (AdminSessionAuth) як додатковий спосіб автентифікації.
+        this.adminAuth = null;
+    }
+
+    useAdminSessions(adminAuth) {
+        this.adminAuth = adminAuth;
+    }
+
+    // Ключі з API_KEYS (JSON-масив) та/або API_KEYS_FILE (шлях до JSON-файлу з таким самим масивом).
+    static fromEnv() {
+        const keys = [];
+        if (process.env.API_KEYS) {
+            keys.push(...JSON.parse(process.env.API_KEYS));
+        }
+        if (process.env.API_KEYS_FILE) {
+            const filePath = path.resolve(process.cwd(), process.env.API_KEYS_FILE);
+            keys.push(...fs.readJsonSync(filePath));
+        }
+        return new ApiKeyAuth(keys, { disabled: String(process.env.AUTH_DISABLED || '').trim().toLowerCase() === 'true' });
+    }
+
+    get isEnabled() {
+        return !this.disabled;
+    }
+
+    get hasKeys() {
+        return this.keys.length > 0;
+    }
+
+    authenticate(rawKey) {
+        if (!rawKey) {
+            return null;
+        }
+        const hash = hashKey(rawKey);
+        const entry = this.keys.find(candidate => crypto.timingSafeEqual(candidate.hash, hash));
+        return entry ? { name: entry.name, scopes: entry.scopes, phones: entry.phones } : null;
+    }
+
+    hasScope(principal, scope) {
+        return principal.scopes.includes(Scopes.All) || principal.scopes.includes(scope);
+    }
+
+    canAccessPhone(principal, phone) {
+        return !principal?.phones || principal.phones.includes(String(phone).trim());
+    }
+
+    // Express middleware: перевірка ключа, скоупу та (опційно) номера сесії.
+    requireScope(scope, phoneResolver = defaultPhoneResolver) {
+        return (req, res, next) => {
+            if (!this.isEnabled) {
+                return next();
+            }
+
+            const principal = this.adminAuth?.authenticate(req) || this.authenticate(extractApiKey(req));
+            if (!principal) {
+                this.logRejection(req, 401, 'невірний або відсутній API-ключ');
+                return res.status(401).json({ status: 'error', message: 'Необхідна автентифікація' });
+            }
+            if (!this.hasScope(principal, scope)) {
+                this.logRejection(req, 403, `ключ ${principal.name} не має скоупу ${scope}`);
+                return res.status(403).json({ status: 'error', message: `Недостатньо прав: потрібен скоуп ${scope}` });
+            }
+            const phone = phoneResolver(req);
+            if (phone && !this.canAccessPhone(principal, phone)) {
+                this.logRejection(req, 403, `ключ ${principal.name} не має доступу до номера ${phone}`);
+                return res.status(403).json({ status: 'error', message: 'Немає доступу до цього номера' });
+            }
+
+            req.apiKey = principal;
+            next();
+        };
+    }
+
+    // Повторна перевірка номера після multipart-парсингу: до multer тіло запиту ще порожнє,
+    // тож requireScope не бачить from/phone.
+    requirePhoneAccess(phoneResolver = defaultPhoneResolver) {
+        return (req, res, next) => {
+            const phone = phoneResolver(req);
+            if (this.isEnabled && phone && !this.canAccessPhone(req.apiKey, phone)) {
+                this.logRejection(req, 403, `ключ ${req.apiKey?.name} не має доступу до номера ${phone}`);
+                if (req.file) {
+                    fs.remove(req.file.path).catch(() => {});
+                }
+                return res.status(403).json({ status: 'error', message: 'Немає доступу до цього номера' });
+            }
+            next();
+        };
+    }
+
+    logRejection(req, statusCode, reason) {
+        logger.log(`Відхилено ${req.method} ${req.originalUrl} від ${req.ip} (HTTP ${statusCode}): ${reason}`, LogLevels.Warning, 'auth');
+    }
+}
+
+module.exports = { ApiKeyAuth, AdminSessionAuth, Scopes, extractApiKey };
@@ -0,0 +1,187 @@
+// Профіль браузера сесії: проксі, user agent, додаткові аргументи Chromium, headless, webVersionCache.
+// Зберігається в SessionStore разом із налаштуваннями сесії і застосовується при кожному створенні Client.
+
+// Базові аргументи Chromium для серверного запуску (раніше були скопійовані в трьох місцях index.js).
+const DEFAULT_CHROMIUM_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',   // Інколи допомагає стабільності запуску Chromium.
+    '--disable-background-timer-throttling',
+    '--disable-software-rasterizer' // Додатковий флаг для headless/Linux-серверів.
+];
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+const WEB_VERSION_CACHE_TYPES = ['none', 'local', 'remote'];
+
+// Дозволені додаткові аргументи Chromium (назва до "="). Chromium запускається з --no-sandbox, тож довільні
+// флаги (--renderer-cmd-prefix, --gpu-launcher, --user-data-dir, --remote-debugging-*) дали б виконання команд
+// на хості або доступ до браузера. Проксі задається лише через profile.proxy.
+const ALLOWED_CHROMIUM_FLAGS = [
+    '--lang',
+    '--window-size',
+    '--force-device-scale-factor',
+    '--mute-audio',
+    '--disable-extensions',
+    '--disable-notifications',
+    '--disable-features',
+    '--enable-features',
+    '--disable-blink-features',
+    '--disable-background-networking',
+    '--disable-renderer-backgrounding',
+    '--disable-backgrounding-occluded-windows',
+    '--proxy-bypass-list'
+];
+
+function isAllowedChromiumArg(arg) {
+    return typeof arg === 'string' && ALLOWED_CHROMIUM_FLAGS.includes(arg.split('=')[0]);
+}
+
+// Розбір проксі: рядок URL або { url, username, password }. Облікові дані з URL переносяться в username/password.
+function parseProxy(value) {
+    const spec = typeof value === 'string' ? { url: value } : { ...value };
+    let url;
+    try {
+        url = new URL(spec.url);
+    } catch (err) {
+        return { error: `Некоректний proxy.url: ${spec.url}` };
+    }
+    if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname || !url.port) {
+        return { error: 'proxy.url має бути у форматі http(s)|socks4|socks5://host:port' };
+    }
+    const username = spec.username ?? (url.username ? decodeURIComponent(url.username) : null);
+    const password = spec.password ?? (url.password ? decodeURIComponent(url.password) : null);
+    // Chromium не підтримує автентифікацію для SOCKS-проксі.
+    if (username && url.protocol.startsWith('socks')) {
+        return { error: 'Chromium не підтримує логін/пароль для SOCKS-проксі: використайте HTTP-проксі або SOCKS без автентифікації' };
+    }
+    return {
+        proxy: {
+            url: `${url.protocol}//${url.hostname}:${url.port}`,
+            username: username || null,
+            password: password || null
+        }
+    };
+}
+
+// Валідація профілю з API. null у полі — скинути до значення за замовчуванням. Повертає { profile } або { error }.
+function validateBrowserProfile(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Очікується JSON-об\'єкт профілю браузера' };
+    }
+    const profile = {};
+
+    if (body.proxy !== undefined) {
+        if (body.proxy === null) {
+            profile.proxy = null;
+        } else {
+            const { proxy, error } = parseProxy(body.proxy);
+            if (error) {
+                return { error };
+            }
+            profile.proxy = proxy;
+        }
+    }
+    if (body.userAgent !== undefined) {
+        if (body.userAgent !== null && (typeof body.userAgent !== 'string' || !body.userAgent.trim())) {
+            return { error: 'userAgent має бути непорожнім рядком' };
+        }
+        profile.userAgent = body.userAgent ? body.userAgent.trim() : null;
+    }
+    if (body.args !== undefined) {
+        if (body.args !== null && (!Array.isArray(body.args) || body.args.some(arg => typeof arg !== 'string' || !arg.startsWith('--')))) {
+            return { error: 'args має бути масивом аргументів Chromium ("--flag" або "--flag=value")' };
+        }
+        const forbidden = (body.args || []).filter(arg => !isAllowedChromiumArg(arg));
+        if (forbidden.length > 0) {
+            return { error: `Недозволені аргументи Chromium: ${forbidden.join(', ')}. Дозволені: ${ALLOWED_CHROMIUM_FLAGS.join(', ')}` };
+        }
+        profile.args = body.args;
+    }
+    if (body.headless !== undefined) {
+        if (body.headless !== null && typeof body.headless !== 'boolean') {
+            return { error: 'headless має бути boolean' };
+        }
+        profile.headless = body.headless;
+    }
+    if (body.webVersionCache !== undefined) {
+        const cache = body.webVersionCache;
+        if (cache !== null) {
+            if (typeof cache !== 'object' || !WEB_VERSION_CACHE_TYPES.includes(cache.type)) {
+                return { error: `webVersionCache.type має бути одним з: ${WEB_VERSION_CACHE_TYPES.join(', ')}` };
+            }
+            if (cache.type === 'remote' && (typeof cache.remotePath !== 'string' || !cache.remotePath)) {
+                return { error: 'webVersionCache типу remote потребує remotePath' };
+            }
+            // Каталог локального кешу не задається через API: LocalWebCache писав би в довільну теку.
+            if (cache.path !== undefined) {
+                return { error: 'webVersionCache.path не підтримується: локальний кеш зберігається в типовому каталозі' };
+            }
+            if (cache.strict !== undefined && typeof cache.strict !== 'boolean') {
+                return { error: 'webVersionCache.strict має бути boolean' };
+            }
+        }
+        profile.webVersionCache = cache && sanitizeWebVersionCache(cache);
+    }
+    return { profile };
+}
+
+// Лише підтримувані поля webVersionCache (без path).
+function sanitizeWebVersionCache({ type, remotePath, strict }) {
+    return {
+        type,
+        ...(type === 'remote' ? { remotePath } : {}),
+        ...(typeof strict === 'boolean' ? { strict } : {})
+    };
+}
+
+// Профіль для відповіді API: пароль проксі не повертається.
+function describeBrowserProfile(profile = {}) {
+    return {
+        proxy: profile.proxy ? { url: profile.proxy.url, username: profile.proxy.username, hasPassword: !!profile.proxy.password } : null,
+        userAgent: profile.userAgent || null,
+        args: profile.args || [],
+        headless: profile.headless ?? true,
+        webVersionCache: profile.webVersionCache || null
+    };
+}
+
+// Опції whatsapp-web.js Client для сесії з урахуванням її профілю.
+function buildClientOptions({ authStrategy, executablePath, profile = {} }) {
+    // Профілі, збережені до появи списку дозволених флагів, теж фільтруються.
+    const args = [...DEFAULT_CHROMIUM_ARGS, ...(profile.args || []).filter(isAllowedChromiumArg)];
+    if (profile.proxy) {
+        args.push(`--proxy-server=${profile.proxy.url}`);
+    }
+
+    const options = {
+        authStrategy,
+        puppeteer: {
+            executablePath,
+            headless: profile.headless ?? true,
+            args,
+            // Сигнали обробляє shutdown в index.js: інакше Puppeteer вбиває Chromium (а на SIGINT — і процес)
+            // раніше, ніж відправлення завершаться і client.destroy() закриє профіль.
+            handleSIGINT: false,
+            handleSIGTERM: false,
+            handleSIGHUP: false
+        }
+    };
+    if (profile.proxy?.username) {
+        // whatsapp-web.js передає облікові дані в page.authenticate() для HTTP-проксі.
+        options.proxyAuthentication = { username: profile.proxy.username, password: profile.proxy.password || '' };
+    }
+    if (profile.userAgent) {
+        options.userAgent = profile.userAgent;
+    }
+    if (profile.webVersionCache) {
+        options.webVersionCache = sanitizeWebVersionCache(profile.webVersionCache);
+    }
+    return options;
+}
+
+module.exports = { DEFAULT_CHROMIUM_ARGS, ALLOWED_CHROMIUM_FLAGS, validateBrowserProfile, describeBrowserProfile, buildClientOptions };
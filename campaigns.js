@@ -0,0 +1,394 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Logger: logger, LogLevels } = require('./logger');
+const { OutboundStatuses, isFinalStatus } = require('./outboundQueue');
+
+// Стани кампанії.
+const CampaignStatuses = {
+    Running: 'running',
+    Paused: 'paused',
+    Cancelled: 'cancelled',
+    Completed: 'completed'
+};
+
+// Результати по отримувачу.
+const RecipientStatuses = {
+    Pending: 'pending',
+    Sending: 'sending',
+    Sent: 'sent',
+    Failed: 'failed',
+    NotOnWhatsApp: 'not_on_whatsapp',
+    Skipped: 'skipped'
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Підстановка змінних {{name}} у шаблон. Відсутня змінна — помилка, щоб не відправити "Вітаю, !".
+function renderTemplate(template, variables = {}) {
+    const missing = [];
+    const text = template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            missing.push(name);
+            return match;
+        }
+        return String(variables[name]);
+    });
+    return { text, missing };
+}
+
+// Масові розсилки з однієї сесії. Кожне повідомлення йде через чергу сесії (OutboundQueue),
+// тож діють ті самі пейсинг і утримання під час перепідключення. Стан кампанії зберігається
+// в DATA_DIR/campaigns/<id>.json і відновлюється після рестарту.
+// Подія 'finished' — кампанія завершена або скасована і більше не відправляє повідомлень.
+class CampaignManager extends EventEmitter {
+    constructor({ directory, queue, isSessionReady, checkRecipient, sessionWaitMs = 5000, saveDelayMs = 10000 }) {
+        super();
+        this.directory = directory;
+        this.queue = queue;
+        this.isSessionReady = isSessionReady;
+        this.checkRecipient = checkRecipient;
+        this.sessionWaitMs = sessionWaitMs;
+        this.saveDelayMs = saveDelayMs;
+        this.campaigns = new Map();
+        this.running = new Set();
+        this.writeChains = new Map();
+        // id -> { timer, promise, resolve }: відкладений запис кампанії.
+        this.pendingSaves = new Map();
+        this.stopping = false;
+
+        fs.ensureDirSync(this.directory);
+        this.load();
+    }
+
+    getCampaignPath(id) {
+        return path.join(this.directory, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+    }
+
+    load() {
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+            try {
+                const campaign = fs.readJsonSync(path.join(this.directory, file));
+                this.campaigns.set(campaign.id, campaign);
+            } catch (err) {
+                logger.log(`Не вдалося прочитати кампанію ${file}: ${err.message}`, LogLevels.Error, 'campaigns');
+            }
+        }
+    }
+
+    // Файл кампанії містить усіх отримувачів, тому зміни за saveDelayMs об'єднуються в один запис
+    // (інакше кампанія на n отримувачів переписувала б файл n разів). Інтервал довший за пейсинг черги:
+    // втрачений при падінні прогрес відновлюється з черги (див. processRecipient). Проміс завершується після запису на диск;
+    // immediate — записати без очікування (створення, зміна статусу через API).
+    save(campaign, { immediate = false } = {}) {
+        campaign.updatedAt = Date.now();
+        let pending = this.pendingSaves.get(campaign.id);
+        if (!pending) {
+            pending = { timer: setTimeout(() => this.flush(campaign.id), this.saveDelayMs) };
+            pending.promise = new Promise((resolve) => { pending.resolve = resolve; });
+            this.pendingSaves.set(campaign.id, pending);
+        }
+        if (immediate) {
+            this.flush(campaign.id);
+        }
+        return pending.promise;
+    }
+
+    flush(id) {
+        const pending = this.pendingSaves.get(id);
+        if (!pending) {
+            return this.writeChains.get(id) || Promise.resolve();
+        }
+        clearTimeout(pending.timer);
+        this.pendingSaves.delete(id);
+        const campaign = this.campaigns.get(id);
+        const previous = this.writeChains.get(id) || Promise.resolve();
+        const next = previous
+            .then(async () => {
+                const filePath = this.getCampaignPath(id);
+                const tmpPath = `${filePath}.tmp`;
+                await fs.writeJson(tmpPath, campaign);
+                await fs.move(tmpPath, filePath, { overwrite: true });
+            })
+            .catch((err) => {
+                logger.log(`Не вдалося зберегти кампанію ${id}: ${err.message}`, LogLevels.Error, 'campaigns');
+            });
+        this.writeChains.set(id, next);
+        next.then(pending.resolve);
+        return next;
+    }
+
+    // Продовження кампаній, що виконувались до рестарту.
+    start() {
+        for (const campaign of this.campaigns.values()) {
+            if (campaign.status === CampaignStatuses.Running) {
+                logger.log(`Відновлення кампанії ${campaign.id} для ${campaign.phone}`, LogLevels.Important, 'campaigns');
+                logger.runWithContext({ correlationId: campaign.correlationId || undefined, phone: campaign.phone }, () => this.run(campaign));
+            }
+        }
+    }
+
+    // Завершення процесу: цикли кампаній зупиняються після поточного отримувача, кампанії лишаються
+    // в стані running і продовжаться після рестарту.
+    async drain() {
+        this.stopping = true;
+        for (const id of [...this.pendingSaves.keys()]) {
+            this.flush(id);
+        }
+        await Promise.all(this.writeChains.values());
+    }
+
+    async create({ phone, name = null, message, ratePerMinute = null, recipients }) {
+        const now = Date.now();
+        const campaign = {
+            id: `${now}-${crypto.randomBytes(6).toString('hex')}`,
+            phone,
+            name,
+            // message: { text (шаблон), contentType, filePath, filename } — як у черзі, але text з {{змінними}}.
+            message,
+            ratePerMinute,
+            correlationId: logger.getContext().correlationId || null,
+            status: CampaignStatuses.Running,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            recipients: recipients.map(({ to, chatId, variables }) => ({
+                to,
+                chatId,
+                variables: variables || {},
+                status: RecipientStatuses.Pending,
+                queueId: null,
+                messageId: null,
+                error: null,
+                finishedAt: null
+            }))
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        await this.save(campaign, { immediate: true });
+        logger.log(`Створено кампанію ${campaign.id} для ${phone}: ${campaign.recipients.length} отримувачів`, LogLevels.Important, 'campaigns');
+        this.run(campaign);
+        return campaign;
+    }
+
+    get(phone, id) {
+        const campaign = this.campaigns.get(id);
+        return campaign && campaign.phone === phone ? campaign : null;
+    }
+
+    list(phone) {
+        return [...this.campaigns.values()]
+            .filter(campaign => campaign.phone === phone)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Короткий прогрес кампанії (лічильники по статусах отримувачів).
+    summarize(campaign) {
+        const counts = Object.fromEntries(Object.values(RecipientStatuses).map(status => [status, 0]));
+        for (const recipient of campaign.recipients) {
+            counts[recipient.status] += 1;
+        }
+        const total = campaign.recipients.length;
+        const processed = total - counts[RecipientStatuses.Pending] - counts[RecipientStatuses.Sending];
+        return {
+            id: campaign.id,
+            phone: campaign.phone,
+            name: campaign.name,
+            status: campaign.status,
+            ratePerMinute: campaign.ratePerMinute,
+            total,
+            processed,
+            progress: total > 0 ? Math.round((processed / total) * 100) : 100,
+            counts,
+            createdAt: campaign.createdAt,
+            updatedAt: campaign.updatedAt,
+            finishedAt: campaign.finishedAt
+        };
+    }
+
+    async pause(phone, id) {
+        return this.transition(phone, id, [CampaignStatuses.Running], CampaignStatuses.Paused);
+    }
+
+    async resume(phone, id) {
+        const campaign = await this.transition(phone, id, [CampaignStatuses.Paused], CampaignStatuses.Running);
+        if (campaign) {
+            this.run(campaign);
+        }
+        return campaign;
+    }
+
+    async cancel(phone, id) {
+        const campaign = await this.transition(phone, id, [CampaignStatuses.Running, CampaignStatuses.Paused], CampaignStatuses.Cancelled);
+        if (!campaign) {
+            return null;
+        }
+        const inFlight = [];
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === RecipientStatuses.Sending && recipient.queueId) {
+                // Якщо повідомлення ще в черзі — знімаємо; якщо вже відправляється — дочікуємось результату у фоні.
+                const cancelled = await this.queue.cancel(campaign.phone, recipient.queueId);
+                const queued = this.queue.get(campaign.phone, recipient.queueId);
+                if (cancelled) {
+                    this.applyQueueResult(recipient, cancelled);
+                } else if (queued) {
+                    inFlight.push(this.waitForQueued(campaign, recipient, queued));
+                }
+            }
+            if (recipient.status === RecipientStatuses.Pending) {
+                recipient.status = RecipientStatuses.Skipped;
+            }
+        }
+        campaign.finishedAt = Date.now();
+        await this.save(campaign, { immediate: true });
+        Promise.all(inFlight).then(async () => {
+            if (inFlight.length > 0) {
+                await this.save(campaign, { immediate: true });
+            }
+            this.emit('finished', campaign);
+        });
+        return campaign;
+    }
+
+    async transition(phone, id, from, to) {
+        const campaign = this.get(phone, id);
+        if (!campaign || !from.includes(campaign.status)) {
+            return null;
+        }
+        campaign.status = to;
+        await this.save(campaign, { immediate: true });
+        logger.log(`Кампанія ${id} для ${phone}: ${to}`, LogLevels.Important, 'campaigns');
+        return campaign;
+    }
+
+    // Основний цикл кампанії: по одному отримувачу, поки кампанія в стані running.
+    async run(campaign) {
+        if (this.running.has(campaign.id)) {
+            return;
+        }
+        this.running.add(campaign.id);
+
+        try {
+            while (campaign.status === CampaignStatuses.Running && !this.stopping) {
+                const recipient = campaign.recipients.find(candidate => candidate.status === RecipientStatuses.Sending)
+                    || campaign.recipients.find(candidate => candidate.status === RecipientStatuses.Pending);
+                if (!recipient) {
+                    campaign.status = CampaignStatuses.Completed;
+                    campaign.finishedAt = Date.now();
+                    await this.save(campaign, { immediate: true });
+                    const { counts } = this.summarize(campaign);
+                    logger.log(`Кампанію ${campaign.id} завершено: ${JSON.stringify(counts)}`, LogLevels.Success, 'campaigns');
+                    this.emit('finished', campaign);
+                    break;
+                }
+
+                // Сесія недоступна — кампанія чекає, а не "провалює" отримувачів.
+                if (!this.isSessionReady(campaign.phone)) {
+                    await delay(this.sessionWaitMs);
+                    continue;
+                }
+
+                await this.processRecipient(campaign, recipient);
+                this.save(campaign);
+
+                if (campaign.ratePerMinute > 0) {
+                    await delay(Math.ceil(60000 / campaign.ratePerMinute));
+                }
+            }
+        } catch (err) {
+            logger.log(`Помилка виконання кампанії ${campaign.id}: ${err.message}`, LogLevels.Error, 'campaigns');
+        } finally {
+            this.running.delete(campaign.id);
+        }
+    }
+
+    async processRecipient(campaign, recipient) {
+        // Повідомлення вже поставлене в чергу (до паузи чи рестарту) — лише чекаємо результат.
+        if (recipient.status === RecipientStatuses.Sending) {
+            const queued = this.queue.get(campaign.phone, recipient.queueId);
+            if (!queued) {
+                recipient.status = RecipientStatuses.Failed;
+                recipient.error = 'Повідомлення зникло з черги';
+                recipient.finishedAt = Date.now();
+                return;
+            }
+            await this.waitForQueued(campaign, recipient, queued);
+            return;
+        }
+
+        const { text, missing } = renderTemplate(campaign.message.text, recipient.variables);
+        if (missing.length > 0) {
+            recipient.status = RecipientStatuses.Failed;
+            recipient.error = `Відсутні змінні: ${missing.join(', ')}`;
+            recipient.finishedAt = Date.now();
+            return;
+        }
+
+        // Запис кампанії відкладений: якщо процес упав після постановки в чергу, але до запису,
+        // отримувач лишився pending — беремо вже поставлене повідомлення замість повторного.
+        const recipientIndex = campaign.recipients.indexOf(recipient);
+        const alreadyQueued = this.queue.list(campaign.phone)
+            .find(item => item.campaignId === campaign.id && item.recipientIndex === recipientIndex);
+        if (alreadyQueued) {
+            recipient.status = RecipientStatuses.Sending;
+            recipient.queueId = alreadyQueued.id;
+            await this.waitForQueued(campaign, recipient, alreadyQueued);
+            return;
+        }
+
+        let onWhatsApp = true;
+        try {
+            onWhatsApp = await this.checkRecipient(campaign.phone, recipient.chatId);
+        } catch (err) {
+            // Перевірку не вдалося виконати — не блокуємо відправлення, WhatsApp поверне помилку сам.
+            logger.log(`Не вдалося перевірити ${recipient.to} у кампанії ${campaign.id}: ${err.message}`, LogLevels.Warning, 'campaigns');
+        }
+        // Під час перевірки кампанію могли призупинити чи скасувати (cancel вже позначив отримувача skipped),
+        // або процес завершується — нічого не відправляємо.
+        if (campaign.status !== CampaignStatuses.Running || this.stopping) {
+            return;
+        }
+        if (!onWhatsApp) {
+            recipient.status = RecipientStatuses.NotOnWhatsApp;
+            recipient.finishedAt = Date.now();
+            return;
+        }
+
+        const queued = await this.queue.enqueue(
+            campaign.phone,
+            { ...campaign.message, chatId: recipient.chatId, text },
+            { to: recipient.to, campaignId: campaign.id, recipientIndex }
+        );
+        recipient.status = RecipientStatuses.Sending;
+        recipient.queueId = queued.id;
+        this.save(campaign);
+        await this.waitForQueued(campaign, recipient, queued);
+    }
+
+    // Очікування фінального статусу з черги. На паузі повідомлення лишається в черзі, а результат
+    // зафіксується після відновлення; при скасуванні чекаємо — повідомлення вже могло піти.
+    async waitForQueued(campaign, recipient, queued) {
+        while (!isFinalStatus(queued.status)) {
+            if (campaign.status === CampaignStatuses.Paused || this.stopping) {
+                return;
+            }
+            await this.queue.waitForFinal(queued, 60000);
+        }
+        this.applyQueueResult(recipient, queued);
+    }
+
+    applyQueueResult(recipient, queued) {
+        recipient.status = queued.status === OutboundStatuses.Sent ? RecipientStatuses.Sent
+            : queued.status === OutboundStatuses.Cancelled ? RecipientStatuses.Skipped
+                : RecipientStatuses.Failed;
+        recipient.messageId = queued.messageId;
+        recipient.error = queued.status === OutboundStatuses.Sent ? null : queued.error;
+        recipient.finishedAt = Date.now();
+    }
+}
+
+module.exports = { CampaignManager, CampaignStatuses, RecipientStatuses, renderTemplate };
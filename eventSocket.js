@@ -0,0 +1,206 @@
+const { WebSocketServer } = require('ws');
+const { Scopes } = require('./auth');
+const { Logger: logger, LogLevels } = require('./logger');
+const { SessionEventTypes } = require('./sessionEvents');
+
+const EVENT_TYPES = Object.values(SessionEventTypes);
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// Підписка клієнта: { sessions, types, lastEventId, epoch }. Порожній список sessions/types — усі.
+// Повертає { subscription } або { error }.
+function parseSubscription(source = {}) {
+    const sessions = toList(source.sessions);
+    const types = toList(source.types);
+    const unknownType = types.find(type => !EVENT_TYPES.includes(type));
+    if (unknownType) {
+        return { error: `Невідомий тип події: ${unknownType}. Доступні: ${EVENT_TYPES.join(', ')}` };
+    }
+    let lastEventId = null;
+    if (source.lastEventId !== undefined && source.lastEventId !== null && source.lastEventId !== '') {
+        lastEventId = Number(source.lastEventId);
+        if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+            return { error: 'lastEventId має бути цілим числом >= 0' };
+        }
+    }
+    const epoch = source.epoch ? String(source.epoch) : null;
+    return { subscription: { sessions, types, lastEventId, epoch } };
+}
+
+// Ключ з X-API-Key / Authorization: Bearer або (для браузерів, які не передають заголовки в WebSocket) з ?apiKey=.
+function extractSocketKey(req, url) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) {
+        return String(headerKey).trim();
+    }
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : url.searchParams.get('apiKey');
+}
+
+function rejectUpgrade(socket, statusCode, statusText) {
+    socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
+
+// WebSocket-потік подій сесій (ws://host/ws) з фільтром по сесіях і типах подій та відновленням з lastEventId.
+// Клієнт -> сервер: { "action": "subscribe", "sessions": [...], "types": [...], "lastEventId": 42, "epoch": "..." }
+// (те саме можна передати в query при підключенні). Сервер -> клієнт: події шини ({ id, type, phone, ... })
+// та службові повідомлення { type: "subscribed" | "resync_required" | "error" }.
+class EventSocketServer {
+    constructor({ bus, auth, path = '/ws', heartbeatMs = 30000, maxBufferedBytes = 1024 * 1024, maxPayloadBytes = 64 * 1024 }) {
+        this.bus = bus;
+        this.auth = auth;
+        this.path = path;
+        this.heartbeatMs = heartbeatMs;
+        this.maxBufferedBytes = maxBufferedBytes;
+        this.clients = new Set();
+        // Від клієнта приходять лише короткі команди subscribe; за замовчуванням ws приймає до 100 МБ.
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: maxPayloadBytes });
+        this.heartbeat = null;
+        this.onEvent = event => this.broadcast(event);
+    }
+
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.bus.on('event', this.onEvent);
+        // Розірвані з'єднання (без pong) закриваємо, щоб не тримати підписки.
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                if (!client.isAlive) {
+                    client.ws.terminate();
+                    continue;
+                }
+                client.isAlive = false;
+                client.ws.ping();
+            }
+        }, this.heartbeatMs);
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.path) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        let principal = null;
+        if (this.auth.isEnabled) {
+            principal = this.auth.authenticate(extractSocketKey(req, url));
+            if (!principal) {
+                this.logRejection(req, 401, 'невірний або відсутній API-ключ');
+                return rejectUpgrade(socket, 401, 'Unauthorized');
+            }
+            if (!this.auth.hasScope(principal, Scopes.Events)) {
+                this.logRejection(req, 403, `ключ ${principal.name} не має скоупу ${Scopes.Events}`);
+                return rejectUpgrade(socket, 403, 'Forbidden');
+            }
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            // До успішної підписки клієнт подій не отримує.
+            const client = { ws, principal, subscription: null, isAlive: true };
+            this.clients.add(client);
+            ws.on('pong', () => { client.isAlive = true; });
+            ws.on('message', data => this.handleMessage(client, data));
+            ws.on('close', () => this.clients.delete(client));
+            ws.on('error', (err) => {
+                logger.log(`Помилка WebSocket-з'єднання: ${err.message}`, LogLevels.Warning, 'eventSocket');
+            });
+            this.subscribe(client, Object.fromEntries(url.searchParams));
+        });
+    }
+
+    handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            return this.send(client, { type: 'error', message: 'Очікується JSON' });
+        }
+        if (message?.action !== 'subscribe') {
+            return this.send(client, { type: 'error', message: `Невідома дія: ${message?.action}` });
+        }
+        this.subscribe(client, message);
+    }
+
+    // Нова підписка замінює попередню; з lastEventId — спершу повтор пропущених подій з буфера.
+    subscribe(client, source) {
+        const { subscription, error } = parseSubscription(source);
+        if (error) {
+            return this.send(client, { type: 'error', message: error });
+        }
+        const forbidden = subscription.sessions.find(phone => !this.auth.canAccessPhone(client.principal, phone));
+        if (forbidden) {
+            return this.send(client, { type: 'error', message: `Немає доступу до номера ${forbidden}` });
+        }
+
+        client.subscription = subscription;
+        this.send(client, { type: 'subscribed', sessions: subscription.sessions, types: subscription.types, lastEventId: this.bus.lastId, epoch: this.bus.epoch });
+        if (subscription.lastEventId === null) {
+            return;
+        }
+        const missed = this.bus.since(subscription.lastEventId, subscription.epoch);
+        if (!missed) {
+            // Сервер перезапускався або пропущені події вже витіснені з буфера: клієнт має перечитати стан через REST.
+            return this.send(client, { type: 'resync_required', lastEventId: this.bus.lastId, epoch: this.bus.epoch });
+        }
+        for (const event of missed) {
+            if (this.matches(client, event)) {
+                this.send(client, event);
+            }
+        }
+    }
+
+    matches(client, event) {
+        if (!client.subscription) {
+            return false;
+        }
+        const { sessions, types } = client.subscription;
+        if (!this.auth.canAccessPhone(client.principal, event.phone)) {
+            return false;
+        }
+        return (sessions.length === 0 || sessions.includes(event.phone))
+            && (types.length === 0 || types.includes(event.type));
+    }
+
+    broadcast(event) {
+        for (const client of this.clients) {
+            if (this.matches(client, event)) {
+                this.send(client, event);
+            }
+        }
+    }
+
+    send(client, payload) {
+        if (client.ws.readyState !== client.ws.OPEN) {
+            return;
+        }
+        // Повільний клієнт не повинен накопичувати необмежений буфер: закриваємо, він відновиться з lastEventId.
+        if (client.ws.bufferedAmount > this.maxBufferedBytes) {
+            client.ws.close(1013, 'Slow consumer');
+            return;
+        }
+        client.ws.send(JSON.stringify(payload));
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.bus.off('event', this.onEvent);
+        for (const client of this.clients) {
+            client.ws.close(1001, 'Server shutdown');
+        }
+        this.wss.close();
+    }
+
+    logRejection(req, statusCode, reason) {
+        logger.log(`Відхилено WebSocket ${new URL(req.url, 'http://localhost').pathname} від ${req.socket.remoteAddress} (HTTP ${statusCode}): ${reason}`, LogLevels.Warning, 'auth');
+    }
+}
+
+module.exports = { EventSocketServer, parseSubscription };
@@ -0,0 +1,146 @@
+const { normalizeGroupId } = require('./sessionStore');
+
+// Дії над учасниками групи -> методи GroupChat з whatsapp-web.js.
+const ParticipantActions = {
+    add: 'addParticipants',
+    remove: 'removeParticipants',
+    promote: 'promoteParticipants',
+    demote: 'demoteParticipants'
+};
+
+// Помилка з HTTP-статусом для відповіді з роуту.
+class GroupApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// JID контакту: приймаємо як номер ("380..."), так і готовий JID ("...@c.us" / "...@lid").
+function toContactJid(value) {
+    const raw = String(value || '').trim();
+    if (raw.includes('@')) {
+        return raw;
+    }
+    const digits = raw.replace(/\D/g, '');
+    return digits ? `${digits}@c.us` : '';
+}
+
+// Id чату для відправлення: групи (@g.us) та інші JID передаються як є, номер — як контакт.
+function toChatId(value) {
+    return toContactJid(value);
+}
+
+function toParticipantJids(participants) {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        throw new GroupApiError(400, 'participants має бути непорожнім масивом номерів');
+    }
+    return participants.map(toContactJid).filter(Boolean);
+}
+
+async function getGroupChat(client, groupId) {
+    const chatId = normalizeGroupId(groupId);
+    let chat;
+    try {
+        chat = await client.getChatById(chatId);
+    } catch (err) {
+        throw new GroupApiError(404, `Групу ${chatId} не знайдено`);
+    }
+    if (!chat || !chat.isGroup) {
+        throw new GroupApiError(404, `Групу ${chatId} не знайдено`);
+    }
+    return chat;
+}
+
+function serializeGroup(chat) {
+    const metadata = chat.groupMetadata || {};
+    return {
+        id: chat.id?._serialized,
+        subject: chat.name || metadata.subject || '',
+        description: metadata.desc || '',
+        owner: metadata.owner?._serialized || null,
+        createdAt: metadata.creation || null,
+        participants: (chat.participants || []).map(participant => ({
+            id: participant.id?._serialized,
+            isAdmin: participant.isAdmin === true,
+            isSuperAdmin: participant.isSuperAdmin === true
+        }))
+    };
+}
+
+async function listGroups(client) {
+    const chats = await client.getChats();
+    return chats.filter(chat => chat.isGroup).map(serializeGroup);
+}
+
+async function createGroup(client, { subject, participants }) {
+    if (!subject || typeof subject !== 'string') {
+        throw new GroupApiError(400, 'subject є обов\'язковим');
+    }
+    const result = await client.createGroup(subject, toParticipantJids(participants));
+    if (typeof result === 'string') {
+        // whatsapp-web.js повертає рядок з описом помилки, якщо групу не створено.
+        throw new GroupApiError(422, result);
+    }
+    return {
+        id: result.gid?._serialized,
+        subject: result.title || subject,
+        participants: result.participants || {}
+    };
+}
+
+async function updateGroupInfo(client, groupId, { subject, description }) {
+    if (subject === undefined && description === undefined) {
+        throw new GroupApiError(400, 'Потрібно передати subject та/або description');
+    }
+    const chat = await getGroupChat(client, groupId);
+    // setSubject/setDescription повертають false, якщо бракує прав адміністратора.
+    if (subject !== undefined && !(await chat.setSubject(String(subject)))) {
+        throw new GroupApiError(403, 'Не вдалося змінити назву групи (потрібні права адміністратора)');
+    }
+    if (description !== undefined && !(await chat.setDescription(String(description)))) {
+        throw new GroupApiError(403, 'Не вдалося змінити опис групи (потрібні права адміністратора)');
+    }
+    return serializeGroup(await getGroupChat(client, groupId));
+}
+
+async function updateParticipants(client, groupId, { action, participants }) {
+    const method = ParticipantActions[action];
+    if (!method) {
+        throw new GroupApiError(400, `Невідома дія: ${action}. Допустимі: ${Object.keys(ParticipantActions).join(', ')}`);
+    }
+    const chat = await getGroupChat(client, groupId);
+    const result = await chat[method](toParticipantJids(participants));
+    return { action, result };
+}
+
+function toInviteLink(code) {
+    // Без прав адміністратора WhatsApp не віддає код запрошення.
+    if (!code || typeof code !== 'string') {
+        throw new GroupApiError(403, 'Посилання-запрошення недоступне (потрібні права адміністратора)');
+    }
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+}
+
+async function getInviteLink(client, groupId) {
+    const chat = await getGroupChat(client, groupId);
+    return toInviteLink(await chat.getInviteCode());
+}
+
+// Відкликання поточного посилання; повертає нове.
+async function revokeInviteLink(client, groupId) {
+    const chat = await getGroupChat(client, groupId);
+    return toInviteLink(await chat.revokeInvite());
+}
+
+module.exports = {
+    GroupApiError,
+    ParticipantActions,
+    toChatId,
+    listGroups,
+    createGroup,
+    updateGroupInfo,
+    updateParticipants,
+    getInviteLink,
+    revokeInviteLink
+};
@@ -1,12 +1,35 @@
 require('dotenv').config();
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const fetch = require('node-fetch');
 const { Logger: logger, LogLevels } = require('./logger');
+const { WebhookOutbox, OutboxStates } = require('./outbox');
+const { ApiKeyAuth, AdminSessionAuth, Scopes } = require('./auth');
+const { RequestSigner, MediaUrlSigner } = require('./signing');
+const { MessageStatusStore } = require('./messageTracker');
+const { SessionStore, validateSettingsPatch, isGroupForwardingAllowed } = require('./sessionStore');
+const { validateBrowserProfile, describeBrowserProfile, buildClientOptions } = require('./browserProfile');
+const groups = require('./groups');
+const { OutboundQueue, OutboundStatuses, isFinalStatus } = require('./outboundQueue');
+const { MessageScheduler, ScheduleStatuses, SessionUnavailableError, parseSendAt } = require('./scheduler');
+const { CampaignManager } = require('./campaigns');
+const { OutboundMediaStore, MediaInputError } = require('./outboundMedia');
+const multer = require('multer');
+const mime = require('mime-types');
+const { createMediaStorage, MediaRetention, buildMediaFilename, getOriginalFilename } = require('./mediaStorage');
+const contentDisposition = require('content-disposition');
+const { ServiceMetrics } = require('./metrics');
+const { LogSearch, parseSearchQuery } = require('./logSearch');
+const { once } = require('events');
+const { SessionEventBus, SessionEventTypes } = require('./sessionEvents');
+const { EventSocketServer } = require('./eventSocket');
+const { SessionStates, SessionStateMachine } = require('./sessionState');
+const { RetryPolicy } = require('./retryPolicy');
+const { SessionAuthProvider } = require('./sessionAuth');
 const app = express();
 
 // Кросплатформений резолвер шляху до Chromium/Chrome (Windows + Linux/CentOS).
@@ -49,7 +72,36 @@ function resolveChromePath() {
 
 const chromePath = resolveChromePath();
 
-app.use(express.json());
+// Ліміт JSON-тіла з запасом під base64-медіа (base64 на ~33% більший за файл).
+app.use(express.json({ limit: `${Math.ceil((Number(process.env.MEDIA_MAX_MB) || 64) * 1.4) + 1}mb` }));
+
+// Correlation id запиту (X-Request-Id або новий): додається до всіх логів обробки запиту,
+// повідомлень черги та webhook-ів, щоб один /sendmsg можна було знайти в логах від початку до кінця.
+// Підключається після парсера тіла: потокові парсери не зберігають async-контекст.
+app.use((req, res, next) => {
+    const correlationId = String(req.get('x-request-id') || '').trim().slice(0, 100) || require('crypto').randomUUID();
+    req.correlationId = correlationId;
+    res.set('X-Request-Id', correlationId);
+    logger.runWithContext({ correlationId }, next);
+});
+
+// API-ключі зі скоупами (API_KEYS / API_KEYS_FILE). Некоректна конфігурація — зупиняємо запуск,
+// щоб сервіс не піднявся випадково без захисту.
+let apiAuth;
+try {
+    apiAuth = ApiKeyAuth.fromEnv();
+} catch (err) {
+    console.error(`❌ Некоректна конфігурація API-ключів: ${err.message}`);
+    process.exit(1);
+}
+// Вхід в адмін-панель (/admin) за ADMIN_USER/ADMIN_PASSWORD — як ключ з повним доступом.
+const adminAuth = AdminSessionAuth.fromEnv();
+apiAuth.useAdminSessions(adminAuth);
+if (!apiAuth.isEnabled) {
+    logger.log('AUTH_DISABLED=true: усі endpoints доступні без автентифікації', LogLevels.Warning, 'auth');
+} else if (!apiAuth.hasKeys) {
+    logger.log('API-ключі не налаштовано (API_KEYS / API_KEYS_FILE): запити з ключем відхиляються з 401, доступ лише через вхід в адмін-панель. Відкритий доступ — лише явним AUTH_DISABLED=true', LogLevels.Error, 'auth');
+}
 
 // Перевірка наявності BASE_URL
 if (!process.env.BASE_URL) {
@@ -64,16 +116,319 @@ const AUTH_DIR = path.join(BASE_DIR, '.wwebjs_auth');
 const CACHE_DIR = path.join(BASE_DIR, '.wwebjs_cache');
 fs.ensureDirSync(AUTH_DIR);
 fs.ensureDirSync(CACHE_DIR);
+// Каталог службових даних сервісу (outbox webhook-ів тощо).
+const DATA_DIR = path.resolve(BASE_DIR, process.env.DATA_DIR || 'data');
+fs.ensureDirSync(DATA_DIR);
+// Де зберігаються профілі сесій: локально (LocalAuth) або в спільному сховищі з орендами номерів (SESSION_STORE=shared).
+let sessionAuth;
+try {
+    sessionAuth = SessionAuthProvider.fromEnv(AUTH_DIR);
+} catch (err) {
+    console.error(`❌ Некоректні налаштування сховища сесій: ${err.message}`);
+    process.exit(1);
+}
 
 // Всі активні клієнти та таймери
 const clients = new Map();
 const qrTimers = new Map();
+// Момент, коли спрацює таймер QR (для часу дії QR у live-подіях).
+const qrDeadlines = new Map();
+// Режим реєстрації сесій, що прив'язуються кодом (phone -> { mode, pairingPhone }); зберігається між повторними спробами.
+const registrationModes = new Map();
+// Останній виданий код прив'язки (phone -> { code, pairingPhone, expiresAt }).
+const pairingCodes = new Map();
 // Таймери відкладених повторних ініціалізацій, щоб не накопичувати дублікати для одного номера.
 const retryTimers = new Map();
+// Затримки і ліміти повторних ініціалізацій (RETRY_*).
+let retryPolicy;
+try {
+    retryPolicy = RetryPolicy.fromEnv();
+} catch (err) {
+    console.error(`❌ Некоректний RETRY_LIMITS: ${err.message}`);
+    process.exit(1);
+}
 // Набір номерів, для яких у поточний момент вже виконується ініціалізація (guard від гонок).
 const initializingPhones = new Set();
+// Процес завершується (SIGTERM/SIGINT): нові повторні ініціалізації не плануються.
+let shuttingDown = false;
+// Повторна звірка локального реєстру сесій з CRM, поки CRM недоступна.
+const REGISTRY_RECONCILE_INTERVAL_MS = Number(process.env.REGISTRY_RECONCILE_INTERVAL_MS) || 60000;
+let registryReconcileTimer = null;
 // Стан сесій для health-check та синхронізації з CRM/сервером.
 const sessionStatus = new Map();
+// Життєвий цикл сесій: дозволені переходи станів та історія переходів (GET /sessions/:phone/history).
+const sessionStates = new SessionStateMachine({ historyLimit: Number(process.env.SESSION_HISTORY_LIMIT) || 200 });
+// Live-події сесій (повідомлення, ack, QR, код прив'язки, переходи станів) для SSE і WebSocket.
+const sessionEvents = new SessionEventBus({ replayLimit: Number(process.env.EVENTS_REPLAY_BUFFER_SIZE) || 1000 });
+// Час на сканування QR від появи першого коду.
+const QR_TIMEOUT_MS = 30000;
+// Інтервал коментаря-heartbeat у SSE, щоб проксі не закривали неактивне з'єднання.
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS ?? 25000);
+// Відкриті SSE-потоки (закриваються при завершенні процесу, інакше server.close() їх чекатиме).
+const sseStreams = new Set();
+
+// Метрики Prometheus (GET /metrics).
+const serviceMetrics = new ServiceMetrics({
+    getSessions: () => buildSessionHealthSnapshot(),
+    getBrowserPids: () => new Map([...clients].map(([phone, client]) => [phone, client.pupBrowser?.process()?.pid]))
+});
+
+// HMAC-підпис усіх вихідних викликів у CRM (WEBHOOK_SIGNING_SECRET / WEBHOOK_SIGNING_SECRET_PREVIOUS).
+const requestSigner = RequestSigner.fromEnv();
+if (!requestSigner.isEnabled) {
+    logger.log('WEBHOOK_SIGNING_SECRET не задано: виклики в CRM надсилаються без підпису', LogLevels.Warning, 'signing');
+}
+
+// Тайм-аут одного виклику в CRM: CRM, що прийняла з'єднання і не відповідає, не повинна блокувати outbox і старт сесій.
+const CRM_REQUEST_TIMEOUT_MS = Number(process.env.CRM_REQUEST_TIMEOUT_MS) || 15000;
+
+// fetch для викликів у CRM: додає заголовки підпису до кожного запиту і фіксує тривалість/помилки в метриках.
+function crmFetch(url, options = {}) {
+    const method = options.method || 'GET';
+    return serviceMetrics.observeCrmRequest(url, () => fetch(url, {
+        timeout: CRM_REQUEST_TIMEOUT_MS,
+        ...options,
+        method,
+        headers: {
+            ...(options.headers || {}),
+            ...requestSigner.sign(method, url, options.body)
+        }
+    }));
+}
+
+// Дисковий outbox: вхідні повідомлення зберігаються, доки CRM не прийме webhook (2xx).
+const webhookOutbox = new WebhookOutbox({
+    directory: path.join(DATA_DIR, 'outbox'),
+    maxAttempts: Number(process.env.WEBHOOK_OUTBOX_MAX_ATTEMPTS) || 12,
+    baseDelayMs: Number(process.env.WEBHOOK_OUTBOX_BASE_DELAY_MS) || 5000,
+    maxDelayMs: Number(process.env.WEBHOOK_OUTBOX_MAX_DELAY_MS) || 15 * 60 * 1000,
+    // Підпис обчислюється на кожну спробу, тому timestamp завжди свіжий для вікна replay-захисту.
+    send: (entry) => crmFetch(entry.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(signMediaUrls(entry.payload))
+    })
+});
+
+// Відправлені повідомлення (messageId -> bitrixMessageId) та їх останній ack для звітів у CRM.
+const messageStatusStore = new MessageStatusStore({
+    filePath: path.join(DATA_DIR, 'message-statuses.json'),
+    maxEntries: Number(process.env.MESSAGE_STATUS_MAX_ENTRIES) || 20000,
+    ttlMs: (Number(process.env.MESSAGE_STATUS_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000
+});
+
+// Персистентні налаштування сесій (пересилання груп тощо).
+const sessionStore = new SessionStore({ filePath: path.join(DATA_DIR, 'sessions.json') });
+
+// Персистентна черга вихідних повідомлень з пейсингом; тримає повідомлення, поки сесія перепідключається.
+const outboundQueue = new OutboundQueue({
+    directory: path.join(DATA_DIR, 'outbound'),
+    send: sendQueuedMessage,
+    isSessionReady: (phone) => !!clients.get(phone)?.info?.wid && sessionStatus.get(phone)?.state === 'ready',
+    ratePerMinute: Number(process.env.OUTBOUND_RATE_PER_MINUTE) || 20,
+    jitterMs: Number(process.env.OUTBOUND_JITTER_MS ?? 3000),
+    recipientCooldownMs: Number(process.env.OUTBOUND_RECIPIENT_COOLDOWN_MS ?? 5000),
+    maxAttempts: Number(process.env.OUTBOUND_MAX_ATTEMPTS) || 3,
+    maxHoldMs: Number(process.env.OUTBOUND_MAX_HOLD_MS ?? 24 * 60 * 60 * 1000)
+});
+
+// Фінальний статус повідомлення з черги передаємо в CRM (через outbox).
+// Повідомлення кампаній не дублюємо webhook-ами: їх результати доступні через /campaigns.
+outboundQueue.on('final', (item) => {
+    if (item.campaignId) {
+        return;
+    }
+    const payload = {
+        entry: [{
+            changes: [{
+                value: {
+                    outbound: [{
+                        queueId: item.id,
+                        bitrixMessageId: item.bitrixMessageId || null,
+                        status: item.status,
+                        messageId: item.messageId,
+                        error: item.status === OutboundStatuses.Sent ? null : item.error,
+                        timestamp: Math.floor(item.finishedAt / 1000),
+                        recipient_id: item.to
+                    }],
+                    metadata: {
+                        phone_number_id: item.phone
+                    }
+                }
+            }]
+        }]
+    };
+    const targetUrl = process.env.OUTBOUND_STATUS_WEBHOOK_URL || `${process.env.BASE_URL}/whatsappwebhook`;
+    webhookOutbox.enqueue(targetUrl, payload, { event: 'outbound_status', phone: item.phone }).catch((err) => {
+        logger.log(`Не вдалося поставити статус ${item.id} в outbox: ${err.message}`, LogLevels.Error, 'outboundQueue');
+    });
+});
+
+// Планувальник: у момент спрацювання повідомлення йде звичайним шляхом — у чергу сесії.
+const messageScheduler = new MessageScheduler({
+    filePath: path.join(DATA_DIR, 'scheduled.json'),
+    misfireGraceMs: Number(process.env.SCHEDULER_MISFIRE_GRACE_MS) || 5 * 60 * 1000,
+    fire: async (item) => {
+        if (!outboundQueue.isSessionReady(item.phone)) {
+            throw new SessionUnavailableError(`Сесія ${item.phone} не підключена (стан: ${sessionStatus.get(item.phone)?.state || 'unknown'})`);
+        }
+        const queued = await outboundQueue.enqueue(item.phone, item.message, { to: item.to, bitrixMessageId: item.bitrixMessageId, scheduleId: item.id });
+        return { queueId: queued.id };
+    }
+});
+
+// Пропущене заплановане повідомлення — явно повідомляємо CRM.
+messageScheduler.on('missed', (item) => {
+    const payload = {
+        entry: [{
+            changes: [{
+                value: {
+                    scheduled: [{
+                        scheduleId: item.id,
+                        bitrixMessageId: item.bitrixMessageId || null,
+                        status: item.status,
+                        sendAt: new Date(item.sendAt).toISOString(),
+                        error: item.error,
+                        recipient_id: item.to
+                    }],
+                    metadata: {
+                        phone_number_id: item.phone
+                    }
+                }
+            }]
+        }]
+    };
+    const targetUrl = process.env.OUTBOUND_STATUS_WEBHOOK_URL || `${process.env.BASE_URL}/whatsappwebhook`;
+    webhookOutbox.enqueue(targetUrl, payload, { event: 'scheduled_missed', phone: item.phone }).catch((err) => {
+        logger.log(`Не вдалося поставити подію пропуску ${item.id} в outbox: ${err.message}`, LogLevels.Error, 'scheduler');
+    });
+});
+
+// Масові розсилки: відправлення через ту саму чергу сесії, стан — у DATA_DIR/campaigns.
+const campaignManager = new CampaignManager({
+    directory: path.join(DATA_DIR, 'campaigns'),
+    queue: outboundQueue,
+    isSessionReady: (phone) => outboundQueue.isSessionReady(phone),
+    // Групи не перевіряємо, для контактів — чи зареєстрований номер у WhatsApp.
+    checkRecipient: async (phone, chatId) => {
+        if (chatId.endsWith('@g.us')) {
+            return true;
+        }
+        return clients.get(phone).isRegisteredUser(chatId);
+    }
+});
+const CAMPAIGN_MAX_RECIPIENTS = Number(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+
+// Медіа для вихідних повідомлень (upload / base64 / URL / filePath у дозволених каталогах).
+const outboundMedia = OutboundMediaStore.fromEnv(path.join(DATA_DIR, 'outbound-media'));
+
+// multipart/form-data: файл у полі "file", решта полів — як у JSON-тілі.
+const multipartUpload = multer({
+    dest: outboundMedia.uploadDirectory,
+    limits: { fileSize: outboundMedia.maxBytes, files: 1 }
+}).single('file');
+
+function mediaUpload(req, res, next) {
+    multipartUpload(req, res, (err) => {
+        if (err) {
+            const statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            logger.log(`Помилка завантаження файлу: ${err.message}`, LogLevels.Warning, 'media');
+            return res.status(statusCode).json({ status: 'error', message: err.message });
+        }
+        // multer завершує розбір у подіях потоку — повертаємо контекст запиту.
+        logger.runWithContext({ correlationId: req.correlationId }, next);
+    });
+}
+
+// Строк зберігання отриманих медіа за замовчуванням (днів); 0 — без обмежень.
+const MEDIA_RETENTION_DAYS = process.env.MEDIA_RETENTION_DAYS !== undefined && process.env.MEDIA_RETENTION_DAYS !== ''
+    ? Number(process.env.MEDIA_RETENTION_DAYS) || 0
+    : 30;
+
+// Сховище отриманих медіа (MEDIA_STORAGE=local|s3) і періодичне очищення за строком зберігання.
+const mediaStorage = createMediaStorage(BASE_DIR);
+// Підписані посилання на отримані медіа для webhook-ів (PUBLIC_BASE_URL — адреса сервісу, доступна з CRM).
+if (!process.env.PUBLIC_BASE_URL) {
+    logger.log('PUBLIC_BASE_URL не задано: посилання на медіа в webhook-ах міститимуть ім\'я хоста сервера', LogLevels.Warning, 'media');
+}
+const mediaUrlSigner = MediaUrlSigner.fromEnv(`http://${os.hostname()}:${Number(process.env.PORT) || 3000}`);
+
+function getMediaPath(phone, messageId) {
+    return `/media/${encodeURIComponent(phone)}/${encodeURIComponent(messageId)}`;
+}
+
+// В outbox зберігається лише mediaPath: посилання підписується на кожну спробу доставки,
+// тож webhook, доставлений після довгої недоступності CRM, не містить простроченого url.
+function withSignedMediaUrl(message) {
+    const media = message?.[message.type];
+    if (!media?.mediaPath) {
+        return message;
+    }
+    const { mediaPath, ...rest } = media;
+    const signedUrl = mediaUrlSigner.sign(mediaPath);
+    return { ...message, [message.type]: { ...rest, url: signedUrl.url, urlExpiresAt: signedUrl.expiresAt } };
+}
+
+function signMediaUrls(payload) {
+    if (!Array.isArray(payload?.entry)) {
+        return payload;
+    }
+    return {
+        ...payload,
+        entry: payload.entry.map(item => ({
+            ...item,
+            changes: (item.changes || []).map(change => Array.isArray(change.value?.messages)
+                ? { ...change, value: { ...change.value, messages: change.value.messages.map(withSignedMediaUrl) } }
+                : change)
+        }))
+    };
+}
+
+const mediaRetention = new MediaRetention({
+    storage: mediaStorage,
+    getRetentionDays: phone => sessionStore.getSettings(phone).mediaRetentionDays ?? MEDIA_RETENTION_DAYS,
+    intervalMs: Number(process.env.MEDIA_RETENTION_INTERVAL_MS) || 60 * 60 * 1000
+});
+
+// Усі фінальні статуси черги (включно з кампаніями) — у метрики.
+outboundQueue.on('final', (item) => {
+    const { contentType } = item.message;
+    serviceMetrics.outboundMessages.inc({
+        session: item.phone,
+        type: contentType === 'text' ? 'text' : String(contentType).split('/')[0],
+        status: item.status
+    });
+});
+
+// Фінальні статуси вихідних (включно з кампаніями) — live-підписникам.
+outboundQueue.on('final', (item) => {
+    sessionEvents.publish(item.phone, SessionEventTypes.Outbound, {
+        queueId: item.id,
+        bitrixMessageId: item.bitrixMessageId || null,
+        campaignId: item.campaignId || null,
+        messageId: item.messageId || null,
+        to: item.to,
+        status: item.status,
+        error: item.status === OutboundStatuses.Sent ? null : item.error
+    });
+});
+
+// Тимчасові медіафайли сервісу видаляються, коли повідомлення вже не потрібне.
+outboundQueue.on('final', (item) => {
+    if (!item.campaignId) {
+        outboundMedia.release(item.message);
+    }
+});
+messageScheduler.on('missed', item => outboundMedia.release(item.message));
+messageScheduler.on('cancelled', item => outboundMedia.release(item.message));
+campaignManager.on('finished', campaign => outboundMedia.release(campaign.message));
+
+// Код прив'язки: інтервал перевидачі коду whatsapp-web.js і загальний час очікування прив'язки (аналог 30-секундного таймера QR).
+const PAIRING_CODE_INTERVAL_MS = Number(process.env.PAIRING_CODE_INTERVAL_MS ?? 180000);
+const PAIRING_CODE_TIMEOUT_MS = Number(process.env.PAIRING_CODE_TIMEOUT_MS ?? 600000);
+
+// Скільки /sendmsg чекає на фактичне відправлення перед відповіддю 202 (queued).
+const OUTBOUND_SYNC_WAIT_MS = Number(process.env.OUTBOUND_SYNC_WAIT_MS ?? 10000);
 
 // Ліміти повторних спроб видалення директорій сесії (актуально для Windows EBUSY/EPERM).
 const SESSION_REMOVE_RETRIES = 8;
@@ -85,6 +440,7 @@ function clearQrTimer(phoneNumber) {
         clearTimeout(qrTimers.get(phoneNumber));
         qrTimers.delete(phoneNumber);
     }
+    qrDeadlines.delete(phoneNumber);
 }
 
 // Очищення таймера повторної ініціалізації для номера.
@@ -95,16 +451,61 @@ function clearRetryTimer(phoneNumber) {
     }
 }
 
-// Планування єдиної повторної ініціалізації без дублювань.
-function scheduleRetry(phoneNumber, lineId, reason = 'unknown', delayMs = 30000) {
+// Планування єдиної повторної ініціалізації без дублювань. Затримка і ліміт спроб — з retryPolicy;
+// після вичерпання ліміту сесія переходить у given_up.
+function scheduleRetry(phoneNumber, lineId, reason = 'unknown') {
     const normalizedPhone = normalizePhone(phoneNumber);
+    if (shuttingDown) {
+        return;
+    }
     clearRetryTimer(normalizedPhone);
+    const decision = retryPolicy.next(normalizedPhone, reason);
+    if (decision.givenUp) {
+        giveUpSession(normalizedPhone, decision).catch((err) => {
+            logger.log(`Помилка обробки given_up для ${normalizedPhone}: ${err.message}`, LogLevels.Error, 'scheduleRetry');
+        });
+        return;
+    }
     const timer = setTimeout(() => {
         retryTimers.delete(normalizedPhone);
         createSession(normalizedPhone, lineId, { headersSent: true });
-    }, delayMs);
+    }, decision.delayMs);
     retryTimers.set(normalizedPhone, timer);
-    logger.log(`Заплановано повторну ініціалізацію для ${normalizedPhone} через ${delayMs / 1000} сек. Причина: ${reason}`, LogLevels.Warning, 'scheduleRetry');
+    serviceMetrics.recordRetry(normalizedPhone, reason);
+    logger.log(`Заплановано повторну ініціалізацію для ${normalizedPhone} через ${Math.round(decision.delayMs / 1000)} сек. (спроба ${decision.attempt}/${decision.maxAttempts}). Причина: ${reason}`, LogLevels.Warning, 'scheduleRetry');
+}
+
+// Сесію більше не перезапускаємо автоматично: фіксуємо стан given_up і повідомляємо CRM.
+async function giveUpSession(phoneNumber, decision) {
+    logger.log(`Повторні ініціалізації для ${phoneNumber} припинено після ${decision.attempts} спроб (причина: ${decision.reason}). Скидання: POST /sessions/${phoneNumber}/retry/reset`, LogLevels.Error, 'scheduleRetry');
+    initializingPhones.delete(phoneNumber);
+    // Клієнт більше не запускається сам — номер не повинен лишатися закріпленим за цим екземпляром.
+    sessionAuth.leases?.release(phoneNumber);
+    if (!setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.GivenUp, reason: decision.reason })) {
+        return;
+    }
+    serviceMetrics.sessionsGivenUp.inc({ session: phoneNumber, reason: decision.category });
+    await pushSessionHealthToServer('given_up');
+
+    const payload = {
+        entry: [{
+            changes: [{
+                value: {
+                    session_status: [{
+                        status: 'given_up',
+                        reason: decision.reason,
+                        attempts: decision.attempts,
+                        timestamp: Math.floor(Date.parse(decision.at) / 1000)
+                    }],
+                    metadata: {
+                        phone_number_id: phoneNumber
+                    }
+                }
+            }]
+        }]
+    };
+    const targetUrl = process.env.SESSION_STATUS_WEBHOOK_URL || `${process.env.BASE_URL}/whatsappwebhook`;
+    await webhookOutbox.enqueue(targetUrl, payload, { event: 'session_status', phone: phoneNumber });
 }
 
 // Функція для нормалізації телефонного номера (ключ для Map/роутів).
@@ -135,11 +536,16 @@ function resolveContactIdentifier(contact, fallbackJid = '') {
 }
 
 // Оновлення health-стану для конкретної сесії.
-function setSessionHealth(phoneNumber, updates = {}) {
+// updates.reason (причина переходу) не зберігається в стані — лише пишеться в історію і передається підписникам подій.
+// Недозволений перехід стану (див. sessionState.js) відхиляється: повертає null, стан не змінюється.
+function setSessionHealth(phoneNumber, { reason, ...updates } = {}) {
+    if (updates.state && !sessionStates.transition(phoneNumber, sessionStatus.get(phoneNumber)?.state ?? null, updates.state, reason)) {
+        return null;
+    }
     const current = sessionStatus.get(phoneNumber) || {
         healthy: false,
         hasUser: false,
-        state: 'disconnected',
+        state: SessionStates.Disconnected,
         lastUpdate: Date.now()
     };
 
@@ -150,6 +556,10 @@ function setSessionHealth(phoneNumber, updates = {}) {
     };
 
     sessionStatus.set(phoneNumber, next);
+    // Підписникам SSE надсилаємо лише фактичні переходи стану.
+    if (next.state !== current.state || !sessionEvents.lastState.has(phoneNumber)) {
+        sessionEvents.publish(phoneNumber, SessionEventTypes.State, { state: next.state, healthy: next.healthy, reason });
+    }
     return next;
 }
 
@@ -191,7 +601,7 @@ async function pushSessionHealthToServer(reason = 'periodic') {
     };
 
     try {
-        const response = await fetch(targetUrl, {
+        const response = await crmFetch(targetUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload)
@@ -208,10 +618,32 @@ async function pushSessionHealthToServer(reason = 'periodic') {
     }
 }
 
-// Функція для отримання шляху до сесії
+// Функція для отримання шляху до сесії (локальний профіль Chromium)
 function getSessionPath(phoneNumber) {
     const cleanedClientId = phoneNumber.replace(/[^a-zA-Z0-9_-]/g, '');
-    return path.join(AUTH_DIR, `session-${cleanedClientId}`);
+    return sessionAuth.getLocalSessionPath(cleanedClientId);
+}
+
+// Чи є збережена авторизація сесії (локальний каталог або архів у спільному сховищі).
+function hasSavedSession(phoneNumber) {
+    return sessionAuth.hasSavedSession(phoneNumber.replace(/[^a-zA-Z0-9_-]/g, ''));
+}
+
+// У спільному режимі номер запускає лише екземпляр, що тримає його оренду.
+function claimSession(phoneNumber, lineId) {
+    if (!sessionAuth.leases) {
+        return true;
+    }
+    const result = sessionAuth.leases.acquire(phoneNumber, { lineId: lineId ?? null });
+    if (!result.acquired) {
+        logger.log(`Номер ${phoneNumber} обслуговує екземпляр ${result.owner || '(оренда оновлюється)'}, запуск пропущено`, LogLevels.Info, 'sessionLease', { phone: phoneNumber });
+    }
+    return result.acquired;
+}
+
+// Власник чинної оренди номера, якщо це інший екземпляр сервісу.
+function getForeignSessionOwner(phoneNumber) {
+    return sessionAuth.leases?.getForeignOwner(phoneNumber) ?? null;
 }
 
 // Функція для отримання шляху до кешу
@@ -220,6 +652,25 @@ function getCachePath(phoneNumber) {
     return path.join(CACHE_DIR, `cache-${cleanedClientId}`);
 }
 
+// Створення Client для сесії з її профілем браузера (проксі, user agent, args, headless, webVersionCache).
+// extraOptions — додаткові опції Client (наприклад, pairWithPhoneNumber для входу за кодом).
+function createWhatsAppClient(normalizedPhone, extraOptions = {}) {
+    const cleanedClientId = normalizedPhone.replace(/[^a-zA-Z0-9_-]/g, '');
+    const profile = sessionStore.getProfile(normalizedPhone);
+    if (Object.keys(profile).length > 0) {
+        const { proxy, headless, userAgent } = describeBrowserProfile(profile);
+        logger.log(`Профіль браузера для ${normalizedPhone}: proxy=${proxy?.url || 'немає'}, headless=${headless}, userAgent=${userAgent || 'типовий'}`, LogLevels.Info, 'createWhatsAppClient');
+    }
+    return new Client({
+        ...buildClientOptions({
+            authStrategy: sessionAuth.createStrategy(cleanedClientId),
+            executablePath: chromePath,
+            profile
+        }),
+        ...extraOptions
+    });
+}
+
 // Функція для затримки
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -228,11 +679,12 @@ function canReplyJson(res) {
     return !!res && res.headersSent !== true && typeof res.json === 'function';
 }
 
-// Функція для отримання списку зареєстрованих номерів із ASP.NET
+// Функція для отримання списку зареєстрованих номерів із ASP.NET.
+// null — CRM недоступна (на відміну від порожнього списку).
 async function fetchRegisteredPhones(maxRetries = 5, retryDelay = 30000) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            const response = await fetch(`${process.env.BASE_URL}/whatsapp?handler=RegisteredPhones`);
+            const response = await crmFetch(`${process.env.BASE_URL}/whatsapp?handler=RegisteredPhones`);
             if (!response.ok || response.status === 204) {
                 throw new Error(`Помилка HTTP: ${response.status}`);
             }
@@ -248,75 +700,158 @@ async function fetchRegisteredPhones(maxRetries = 5, retryDelay = 30000) {
         } catch (err) {
             logger.log(`Спроба ${attempt}/${maxRetries}. Помилка при отриманні зареєстрованих номерів: ${err.message}`, LogLevels.Error, 'fetchRegisteredPhones');
             if (attempt === maxRetries) {
-                logger.log(`Досягнуто максимальну кількість спроб (${maxRetries}). Продовжую роботу без зареєстрованих номерів.`, LogLevels.Warning, 'fetchRegisteredPhones');
-                return []; // Повертаємо порожній список і продовжуємо
+                logger.log(`Досягнуто максимальну кількість спроб (${maxRetries}). Продовжую роботу з локальним реєстром сесій.`, LogLevels.Warning, 'fetchRegisteredPhones');
+                return null;
             }
             logger.log(`Очікування ${retryDelay / 1000} секунд перед наступною спробою...`, LogLevels.Info, 'fetchRegisteredPhones');
             await delay(retryDelay);
         }
     }
-    logger.log('Невідома помилка в циклі fetchRegisteredPhones. Повертаю порожній список.', LogLevels.Warning, 'fetchRegisteredPhones');
-    return [];
+    logger.log('Невідома помилка в циклі fetchRegisteredPhones. Продовжую роботу з локальним реєстром сесій.', LogLevels.Warning, 'fetchRegisteredPhones');
+    return null;
+}
+
+// Звірка локального реєстру зі списком CRM. CRM — джерело lineId; номери, відомі лише CRM, додаються в реєстр.
+// Номери, яких немає в CRM, не видаляються (це від'єднало б пристрій) — лише позначаються crmMissingSince.
+async function reconcileSessionRegistry(registeredPhones) {
+    const crmLineIds = new Map(registeredPhones.map(({ phoneNumber, lineId }) => [normalizePhone(phoneNumber), lineId ?? null]));
+
+    for (const [phone, lineId] of crmLineIds) {
+        const registration = sessionStore.getRegistration(phone);
+        if (!registration) {
+            await sessionStore.register(phone, { lineId, source: 'crm' });
+            logger.log(`Номер ${phone} додано в локальний реєстр зі списку CRM (lineId ${lineId ?? 'немає'})`, LogLevels.Info, 'sessionRegistry', { phone });
+            continue;
+        }
+        if (lineId !== null && String(lineId) !== String(registration.lineId)) {
+            logger.log(`lineId для ${phone} змінено за даними CRM: ${registration.lineId ?? 'немає'} -> ${lineId}`, LogLevels.Warning, 'sessionRegistry', { phone });
+        }
+        await sessionStore.updateRegistration(phone, { lineId: lineId ?? registration.lineId, crmMissingSince: null });
+    }
+
+    for (const { phone, registration } of sessionStore.listRegistered()) {
+        if (!crmLineIds.has(phone) && !registration.crmMissingSince) {
+            logger.log(`Номер ${phone} є в локальному реєстрі, але відсутній у CRM. Сесія працює далі; видалення — DELETE /sessiondelete/${phone}`, LogLevels.Warning, 'sessionRegistry', { phone });
+            await sessionStore.updateRegistration(phone, { crmMissingSince: Date.now() });
+        }
+    }
+}
+
+// Поки CRM недоступна — періодично пробуємо отримати список, звіряємо реєстр і запускаємо сесії, яких ще немає.
+function scheduleRegistryReconcile() {
+    clearTimeout(registryReconcileTimer);
+    registryReconcileTimer = setTimeout(async () => {
+        registryReconcileTimer = null;
+        const registeredPhones = await fetchRegisteredPhones(1);
+        if (!registeredPhones) {
+            scheduleRegistryReconcile();
+            return;
+        }
+        try {
+            await reconcileSessionRegistry(registeredPhones);
+            logger.log('CRM знову доступна: локальний реєстр сесій звірено', LogLevels.Success, 'sessionRegistry');
+            for (const { phone, registration } of sessionStore.listRegistered()) {
+                if (!retryTimers.has(phone) && !retryPolicy.isGivenUp(phone)) {
+                    await restoreSession(phone, registration.lineId);
+                }
+            }
+        } catch (err) {
+            logger.log(`Помилка звірки реєстру сесій: ${err.message}`, LogLevels.Error, 'sessionRegistry');
+        }
+    }, REGISTRY_RECONCILE_INTERVAL_MS);
+}
+
+// Відновлення сесії зі збережених даних авторизації під час старту сервісу.
+async function restoreSession(normalizedPhone, lineId) {
+    // Сесію вже запущено іншим шляхом (реєстрація через API під час очікування CRM тощо).
+    if (shuttingDown || clients.has(normalizedPhone) || initializingPhones.has(normalizedPhone)) {
+        return;
+    }
+    if (!hasSavedSession(normalizedPhone)) {
+        logger.log(`Немає збереженої сесії для ${normalizedPhone}, пропускаємо ініціалізацію`, LogLevels.Warning, 'initializeRegisteredSessions');
+        return;
+    }
+    if (!claimSession(normalizedPhone, lineId)) {
+        return;
+    }
+    logger.log(`Знайдено збережену сесію для ${normalizedPhone}, ініціалізація...`, LogLevels.Info, 'initializeRegisteredSessions');
+
+    const client = createWhatsAppClient(normalizedPhone);
+
+    clients.set(normalizedPhone, client);
+    // Сесія відновлюється із збережених даних, очікуємо подію ready/authenticated.
+    setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: SessionStates.Restoring });
+
+    // Важливо: у callback передаємо реальний номер, а не cleanedClientId,
+    // щоб коректно працювали notify URL, пошук клієнта та cleanup.
+    client.on('ready', handleReadyEvent(normalizedPhone, lineId));
+    client.on('authenticated', handleAuthenticatedEvent(normalizedPhone));
+    client.on('auth_failure', handleAuthFailureEvent(normalizedPhone));
+    client.on('disconnected', handleDisconnectedEvent(normalizedPhone));
+    client.on('message', (message) => handleMessageEvent(message, normalizedPhone));
+    client.on('message_ack', (message, ack) => handleMessageAckEvent(message, ack, normalizedPhone));
+
+    try {
+        await client.initialize();
+    } catch (err) {
+        logger.log(`Помилка ініціалізації клієнта WhatsApp для ${normalizedPhone}: ${err.message}. Планую повторну спробу.`, LogLevels.Error, 'initializeRegisteredSessions');
+        clients.delete(normalizedPhone);
+        scheduleRetry(normalizedPhone, lineId, `initializeClient: ${err.message}`);
+    }
 }
 
-// Ініціалізація всіх зареєстрованих сесій
+// Оренду перехопив інший екземпляр (цей був недоступний довше за SESSION_LEASE_TTL_MS) — закриваємо свій клієнт.
+sessionAuth.leases?.on('lost', async ({ phone, owner }) => {
+    const client = clients.get(phone);
+    clients.delete(phone);
+    clearQrTimer(phone);
+    clearRetryTimer(phone);
+    initializingPhones.delete(phone);
+    setSessionHealth(phone, { healthy: false, hasUser: false, state: SessionStates.Stopped, reason: `lease_lost:${owner}` });
+    if (client) {
+        await client.destroy().catch(err => logger.log(`Помилка закриття клієнта ${phone} після втрати оренди: ${err.message}`, LogLevels.Warning, 'sessionLease', { phone }));
+    }
+});
+
+// Екземпляр-власник зник: після спливу оренди переймаємо номер, якщо профіль є в спільному сховищі.
+sessionAuth.leases?.on('expired', async (lease) => {
+    const phone = normalizePhone(lease.phone);
+    if (shuttingDown || clients.has(phone) || initializingPhones.has(phone) || retryTimers.has(phone) || !hasSavedSession(phone)) {
+        return;
+    }
+    try {
+        const lineId = lease.lineId ?? sessionStore.getLineId(phone);
+        if (!sessionStore.getRegistration(phone)) {
+            await sessionStore.register(phone, { lineId, source: 'takeover' });
+        }
+        await restoreSession(phone, lineId);
+    } catch (err) {
+        logger.log(`Помилка переймання сесії ${phone}: ${err.message}`, LogLevels.Error, 'sessionLease', { phone });
+    }
+});
+
+// Ініціалізація всіх зареєстрованих сесій: список CRM, звірений з локальним реєстром (DATA_DIR/sessions.json).
+// Якщо CRM недоступна — сесії відновлюються з реєстру, а звірка виконується, коли CRM повернеться.
 async function initializeRegisteredSessions() {
     try {
-        const registeredPhones = await fetchRegisteredPhones();
-        if (!registeredPhones || registeredPhones.length === 0) {
+        // З непорожнім реєстром не чекаємо CRM кілька хвилин: одна спроба, далі — фонова звірка.
+        const hasLocalRegistry = sessionStore.listRegistered().length > 0;
+        const registeredPhones = await fetchRegisteredPhones(hasLocalRegistry ? 1 : 5);
+        if (registeredPhones) {
+            await reconcileSessionRegistry(registeredPhones);
+        } else {
+            logger.log(`CRM недоступна: відновлюю сесії з локального реєстру (${sessionStore.listRegistered().length})`, LogLevels.Warning, 'initializeRegisteredSessions');
+            scheduleRegistryReconcile();
+        }
+
+        const sessions = sessionStore.listRegistered();
+        if (sessions.length === 0) {
             logger.log('Немає зареєстрованих номерів для ініціалізації', LogLevels.Info, 'initializeRegisteredSessions');
             return;
         }
 
-        for (const { phoneNumber, lineId } of registeredPhones) {
-            const normalizedPhone = normalizePhone(phoneNumber);
-            const cleanedClientId = normalizedPhone.replace(/[^a-zA-Z0-9_-]/g, '');
-            const sessionPath = getSessionPath(normalizedPhone);
-
-            if (fs.existsSync(sessionPath)) {
-                logger.log(`Знайдено збережену сесію для ${normalizedPhone}, ініціалізація...`, LogLevels.Info, 'initializeRegisteredSessions');
-
-                const client = new Client({
-                    authStrategy: new LocalAuth({ clientId: cleanedClientId, dataPath: AUTH_DIR }),
-                    puppeteer: {
-                        executablePath: chromePath,
-                        headless: true,
-                        args: ['--no-sandbox',
-                            '--disable-setuid-sandbox',
-                            '--disable-gpu',
-                            '--disable-dev-shm-usage',
-                            '--disable-accelerated-2d-canvas',
-                            '--no-first-run',
-                            '--no-zygote',
-                            '--single-process',   // Інколи допомагає стабільності запуску Chromium.
-                            '--disable-background-timer-throttling',
-                            '--disable-software-rasterizer' // Додатковий флаг для headless/Linux-серверів.
-                        ]
-                    }
-                });
-
-                clients.set(normalizedPhone, client);
-                // Сесія відновлюється із збережених даних, очікуємо подію ready/authenticated.
-                setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: 'restoring' });
-
-                // Важливо: у callback передаємо реальний номер, а не cleanedClientId,
-                // щоб коректно працювали notify URL, пошук клієнта та cleanup.
-                client.on('ready', handleReadyEvent(normalizedPhone, lineId));
-                client.on('authenticated', handleAuthenticatedEvent(normalizedPhone));
-                client.on('auth_failure', handleAuthFailureEvent(normalizedPhone));
-                client.on('disconnected', handleDisconnectedEvent(normalizedPhone));
-                client.on('message', (message) => handleMessageEvent(message, normalizedPhone));
-
-                try {
-                    await client.initialize();
-                } catch (err) {
-                    logger.log(`Помилка ініціалізації клієнта WhatsApp для ${normalizedPhone}: ${err.message}. Спроба переініціалізації через 30 секунд.`, LogLevels.Error, 'initializeRegisteredSessions');
-                    clients.delete(normalizedPhone);
-                    setTimeout(() => initializeClient(normalizedPhone, lineId), 30000); // Перезапуск через 30 секунд
-                }
-            } else {
-                logger.log(`Немає збереженої сесії для ${normalizedPhone}, пропускаємо ініціалізацію`, LogLevels.Warning, 'initializeRegisteredSessions');
-            }
+        for (const { phone, registration } of sessions) {
+            await restoreSession(phone, registration.lineId);
         }
     } catch (err) {
         logger.log(`Критична помилка в initializeRegisteredSessions: ${err.message}. Продовжую роботу сервера.`, LogLevels.Error, 'initializeRegisteredSessions');
@@ -326,40 +861,27 @@ async function initializeRegisteredSessions() {
 // Функція для повторної ініціалізації клієнта
 function initializeClient(phoneNumber, lineId) {
     const normalizedPhone = normalizePhone(phoneNumber);
-    const cleanedClientId = normalizedPhone.replace(/[^a-zA-Z0-9_-]/g, '');
-    const sessionPath = getSessionPath(normalizedPhone);
-    if (fs.existsSync(sessionPath)) {
-        const client = new Client({
-            authStrategy: new LocalAuth({ clientId: cleanedClientId, dataPath: AUTH_DIR }),
-            puppeteer: {
-                executablePath: chromePath,
-                headless: true,
-                args: ['--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-gpu',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--single-process',   // Інколи допомагає стабільності запуску Chromium.
-                    '--disable-background-timer-throttling',
-                    '--disable-software-rasterizer' // Додатковий флаг для headless/Linux-серверів.
-                ]
-            }
-        });
+    if (shuttingDown) {
+        logger.log(`Пропущено initializeClient для ${normalizedPhone}: сервіс завершує роботу`, LogLevels.Warning, 'initializeClient');
+        return;
+    }
+    lineId = lineId ?? sessionStore.getLineId(normalizedPhone);
+    if (hasSavedSession(normalizedPhone) && claimSession(normalizedPhone, lineId)) {
+        const client = createWhatsAppClient(normalizedPhone);
 
         clients.set(normalizedPhone, client);
         // Повторна ініціалізація: фіксуємо проміжний стан до ready.
-        setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: 'reinitializing' });
+        setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: SessionStates.Reinitializing });
 
         client.on('ready', handleReadyEvent(normalizedPhone, lineId));
         client.on('authenticated', handleAuthenticatedEvent(normalizedPhone));
         client.on('auth_failure', handleAuthFailureEvent(normalizedPhone));
         client.on('disconnected', handleDisconnectedEvent(normalizedPhone));
         client.on('message', (message) => handleMessageEvent(message, normalizedPhone));
+        client.on('message_ack', (message, ack) => handleMessageAckEvent(message, ack, normalizedPhone));
 
         client.initialize().catch((err) => {
-            logger.log(`Помилка повторної ініціалізації для ${normalizedPhone}: ${err.message}. Спроба через 30 секунд.`, LogLevels.Error, 'initializeClient');
+            logger.log(`Помилка повторної ініціалізації для ${normalizedPhone}: ${err.message}. Планую повторну спробу.`, LogLevels.Error, 'initializeClient');
             clients.delete(normalizedPhone);
             scheduleRetry(normalizedPhone, lineId, `initializeClient: ${err.message}`);
         });
@@ -373,50 +895,136 @@ function handleQrEvent(client, phoneNumber, res) {
 
     return async (qr) => {
         try {
-            // Поки активний QR, сесія ще не вважається healthy.
-            setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: 'qr' });
+            // Поки активний QR, сесія ще не вважається healthy. QR від уже закритого клієнта ігноруємо.
+            if (!setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.Qr })) {
+                return;
+            }
             await pushSessionHealthToServer('qr');
             const qrImage = await qrcode.toDataURL(qr);
             // Відповідаємо тільки якщо це реальний HTTP response (а не технічний заглушковий об'єкт).
+            // Наступні QR отримують лише підписники eventsUrl.
             if (canReplyJson(res)) {
-                res.json({ status: 'qr', qr: qrImage, phone: phoneNumber });
+                res.json({ status: 'qr', qr: qrImage, phone: phoneNumber, eventsUrl: getSessionEventsUrl(phoneNumber) });
             }
 
-            // Таймер для незасканованого QR: коректно закриваємо клієнт і гарантовано чистимо директорії.
+            // Таймер для незасканованого QR ставимо на перший код: оновлені QR його не продовжують.
+            if (qrTimers.has(phoneNumber)) {
+                publishQrEvent(phoneNumber, qrImage);
+                return;
+            }
+            qrDeadlines.set(phoneNumber, Date.now() + QR_TIMEOUT_MS);
+            publishQrEvent(phoneNumber, qrImage);
+            // Коректно закриваємо клієнт і гарантовано чистимо директорії.
             qrTimers.set(phoneNumber, setTimeout(async () => {
                 if (!client.authInfo) {
-                    await client.destroy().catch((err) => {
-                        logger.log(`Помилка закриття клієнта по таймауту QR для ${phoneNumber}: ${err.message}`, LogLevels.Warning, 'handleQrEvent');
+                    await expireLinking(client, phoneNumber, null, {
+                        reason: 'qr_timeout',
+                        message: `Час на сканування QR-коду для ${phoneNumber} минув`,
+                        source: 'handleQrEvent',
+                        metric: serviceMetrics.qrTimeouts
                     });
-                    clients.delete(phoneNumber);
-                    clearQrTimer(phoneNumber);
-
-                    await removeSessionData(phoneNumber);
-
-                    logger.log(`Час на сканування QR-коду для ${phoneNumber} минув`, LogLevels.Warning, 'handleQrEvent');
-                    scheduleRetry(phoneNumber, null, 'qr_timeout');
                 }
-            }, 30000));
+            }, QR_TIMEOUT_MS));
         } catch (err) {
             logger.log(`Помилка обробки QR-коду для ${phoneNumber}: ${err.message}. Продовжую роботу.`, LogLevels.Error, 'handleQrEvent');
         }
     };
 }
 
+// Таймаут прив'язки (незасканований QR або невведений код): закриваємо клієнт, чистимо профіль і плануємо повтор.
+// Спільне для QR і коду прив'язки. initializingPhones звільняємо до scheduleRetry: інакше повтор зупиниться
+// на захисті від дублю в createSession, сесія назавжди лишиться в timeout і не дійде до ліміту спроб (given_up).
+async function expireLinking(client, phoneNumber, lineId, { reason, message, source, metric }) {
+    await client.destroy().catch((err) => {
+        logger.log(`Помилка закриття клієнта по таймауту (${reason}) для ${phoneNumber}: ${err.message}`, LogLevels.Warning, source);
+    });
+    clients.delete(phoneNumber);
+    clearQrTimer(phoneNumber);
+    pairingCodes.delete(phoneNumber);
+    initializingPhones.delete(phoneNumber);
+
+    await removeSessionData(phoneNumber);
+
+    logger.log(message, LogLevels.Warning, source);
+    setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.Timeout, reason });
+    metric.inc({ session: phoneNumber });
+    scheduleRetry(phoneNumber, lineId, reason);
+}
+
+// Підписане посилання на SSE-потік сесії: EventSource у браузері CRM не може передати API-ключ у заголовку.
+function getSessionEventsUrl(phoneNumber) {
+    return mediaUrlSigner.sign(`/sessions/${encodeURIComponent(phoneNumber)}/events`).url;
+}
+
+function publishQrEvent(phoneNumber, qrImage) {
+    const deadline = qrDeadlines.get(phoneNumber);
+    sessionEvents.publish(phoneNumber, SessionEventTypes.Qr, {
+        qr: qrImage,
+        expiresAt: new Date(deadline).toISOString(),
+        expiresInSec: Math.max(Math.round((deadline - Date.now()) / 1000), 0)
+    });
+}
+
+// Обробка коду прив'язки (вхід без сканування QR). whatsapp-web.js перевидає код кожні PAIRING_CODE_INTERVAL_MS.
+function handlePairingCodeEvent(client, phoneNumber, lineId, res) {
+    return async (code) => {
+        try {
+            const { pairingPhone } = registrationModes.get(phoneNumber) || {};
+            const expiresAt = new Date(Date.now() + PAIRING_CODE_INTERVAL_MS).toISOString();
+            pairingCodes.set(phoneNumber, { code, pairingPhone, expiresAt });
+            sessionEvents.publish(phoneNumber, SessionEventTypes.PairingCode, { code, pairingPhone, expiresAt, expiresInSec: Math.round(PAIRING_CODE_INTERVAL_MS / 1000) });
+            logger.log(`Pairing code generated for ${phoneNumber} (діє до ${expiresAt})`, LogLevels.Info, 'handlePairingCodeEvent');
+
+            // Поки код не введено на телефоні, сесія ще не вважається healthy.
+            if (!setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.PairingCode })) {
+                return;
+            }
+            await pushSessionHealthToServer('pairing_code');
+            if (canReplyJson(res)) {
+                res.json({ status: 'pairing_code', code, phone: phoneNumber, pairingPhone, expiresAt, eventsUrl: getSessionEventsUrl(phoneNumber) });
+            }
+
+            // Загальний таймер прив'язки ставимо на перший код; перевидані коди його не продовжують.
+            if (!qrTimers.has(phoneNumber)) {
+                qrTimers.set(phoneNumber, setTimeout(async () => {
+                    if (!client.authInfo) {
+                        await expireLinking(client, phoneNumber, lineId, {
+                            reason: 'pairing_code_timeout',
+                            message: `Час на введення коду прив'язки для ${phoneNumber} минув`,
+                            source: 'handlePairingCodeEvent',
+                            metric: serviceMetrics.pairingCodeTimeouts
+                        });
+                    }
+                }, PAIRING_CODE_TIMEOUT_MS));
+            }
+        } catch (err) {
+            logger.log(`Помилка обробки коду прив'язки для ${phoneNumber}: ${err.message}. Продовжую роботу.`, LogLevels.Error, 'handlePairingCodeEvent');
+        }
+    };
+}
+
 // Обробка успішного підключення
 function handleReadyEvent(phoneNumber, lineId, res = { headersSent: false }) {
     return async () => {
         try {
             logger.log(`WhatsApp підключено: ${phoneNumber}`, LogLevels.Info, 'handleReadyEvent');
             // Сесія готова до роботи та має підключеного користувача.
-            setSessionHealth(phoneNumber, { healthy: true, hasUser: true, state: 'ready' });
+            // Пізній ready (наприклад, після видалення сесії) не повинен повідомляти CRM про успіх.
+            if (!setSessionHealth(phoneNumber, { healthy: true, hasUser: true, state: SessionStates.Ready })) {
+                return;
+            }
             await pushSessionHealthToServer('ready');
             clearQrTimer(phoneNumber);
             clearRetryTimer(phoneNumber);
+            retryPolicy.reset(phoneNumber);
             initializingPhones.delete(phoneNumber);
+            registrationModes.delete(phoneNumber);
+            pairingCodes.delete(phoneNumber);
+            // Відправляємо повідомлення, що накопичились, поки сесія перепідключалась.
+            outboundQueue.kick(phoneNumber);
 
             const notifyUrl = `${process.env.BASE_URL}/whatsapp?handler=NotifyAuthSuccess&phone=${encodeURIComponent(phoneNumber)}&lineId=${encodeURIComponent(lineId || '')}`;
-            const notifyRes = await fetch(notifyUrl);
+            const notifyRes = await crmFetch(notifyUrl);
             if (!notifyRes.ok) {
                 logger.log(`Помилка при повідомленні ASP.NET для ${phoneNumber}: ${notifyRes.statusText}`, LogLevels.Warning, 'handleReadyEvent');
             } else {
@@ -440,7 +1048,7 @@ function handleAuthenticatedEvent(phoneNumber) {
     return () => {
         logger.log(`Аутентифікація успішна: ${phoneNumber}`, LogLevels.Success, 'handleAuthenticatedEvent');
         // Авторизація пройдена, але повна готовність фіксується в ready.
-        setSessionHealth(phoneNumber, { healthy: true, hasUser: true, state: 'authenticated' });
+        setSessionHealth(phoneNumber, { healthy: true, hasUser: true, state: SessionStates.Authenticated });
         clearQrTimer(phoneNumber);
     };
 }
@@ -449,7 +1057,10 @@ function handleAuthenticatedEvent(phoneNumber) {
 function handleAuthFailureEvent(phoneNumber, res = { headersSent: false }) {
     return async (msg) => {
         logger.log(`Помилка авторизації: ${phoneNumber} - ${msg}`, LogLevels.Error, 'handleAuthFailureEvent');
-        setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: 'auth_failure' });
+        // Подія від клієнта, якого вже замінено/видалено, не повинна чистити дані нової сесії.
+        if (!setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.AuthFailure, reason: String(msg) })) {
+            return;
+        }
         await pushSessionHealthToServer('auth_failure');
         if (canReplyJson(res)) {
             res.status(401).json({ status: 'error', message: 'Помилка авторизації' });
@@ -467,7 +1078,9 @@ function handleAuthFailureEvent(phoneNumber, res = { headersSent: false }) {
 function handleDisconnectedEvent(phoneNumber) {
     return async (reason) => {
         logger.log(`Відключено: ${phoneNumber} - ${reason}`, LogLevels.Warning, 'handleDisconnectedEvent');
-        setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: 'disconnected' });
+        if (!setSessionHealth(phoneNumber, { healthy: false, hasUser: false, state: SessionStates.Disconnected, reason: String(reason) })) {
+            return;
+        }
         await pushSessionHealthToServer('disconnected');
         clients.delete(phoneNumber);
         clearQrTimer(phoneNumber);
@@ -588,16 +1201,28 @@ function handleDisconnectedEvent(phoneNumber) {
 //         logger.log(`Нештатна ситуація в handleMessageEvent: ${err.message}. Продовжую роботу сервера.`, LogLevels.Error, 'handleMessageEvent');
 //     }
 // }
-async function handleMessageEvent(message, phoneNumber) {
+// Вхідне повідомлення обробляється з контекстом логів: сесія, id повідомлення (він же correlation id).
+function handleMessageEvent(message, phoneNumber) {
+    const messageId = message.id?.id;
+    return logger.runWithContext({ correlationId: messageId, phone: phoneNumber, messageId }, () => processIncomingMessage(message, phoneNumber));
+}
+
+async function processIncomingMessage(message, phoneNumber) {
     try {
         // Перевіряємо тип чату через Chat API, щоб не пропускати особисті повідомлення з @lid.
         const chat = await message.getChat();
-        const isIndividualChat = !!chat && !chat.isGroup;
+        const isGroupChat = !!chat && chat.isGroup === true;
         const fromJid = message.from || '';
         const toJid = message.to || '';
 
-        // Ігноруємо лише групові/неперсональні чати.
-        if (!isIndividualChat || (!isDirectUserJid(fromJid) && !isDirectUserJid(toJid))) {
+        if (isGroupChat) {
+            // Групи пересилаються лише якщо це увімкнено в налаштуваннях сесії (і група в allowlist, якщо він заданий).
+            const groupId = chat.id?._serialized || fromJid;
+            if (!isGroupForwardingAllowed(sessionStore.getSettings(phoneNumber), groupId)) {
+                logger.log(`Повідомлення з групи ${groupId} пропущено: пересилання груп вимкнене для ${phoneNumber}`, LogLevels.Info, 'handleMessageEvent');
+                return;
+            }
+        } else if (!chat || (!isDirectUserJid(fromJid) && !isDirectUserJid(toJid))) {
             logger.log(`Повідомлення від ${message.from} до ${message.to} пропущено: не є індивідуальним чатом`, LogLevels.Info, 'handleMessageEvent');
             return;
         }
@@ -607,10 +1232,12 @@ async function handleMessageEvent(message, phoneNumber) {
             logger.log(`Повідомлення від ${message.from} до ${message.to} пропущено: це вихідне повідомлення`, LogLevels.Info, 'handleMessageEvent');
             return;
         }
+        serviceMetrics.inboundMessages.inc({ session: phoneNumber, type: message.type });
 
         // Визначаємо відправника: для @lid пробуємо взяти contact.number, інакше лишаємо user-id.
+        // У групі відправник — учасник (message.author), а не сама група.
         const senderContact = await message.getContact();
-        const fromPhone = resolveContactIdentifier(senderContact, fromJid);
+        const fromPhone = resolveContactIdentifier(senderContact, isGroupChat ? (message.author || '') : fromJid);
         // Визначаємо отримувача: пріоритетно номер сесії, бо message.to може бути @lid.
         const toPhone = normalizePhone(phoneNumber) || extractUserIdFromJid(toJid);
         const messageId = message.id.id;
@@ -633,14 +1260,8 @@ async function handleMessageEvent(message, phoneNumber) {
                 messageText = message.body || type;
                 const media = await message.downloadMedia();
                 if (media) {
-                    const sessionFolder = `whatsapp_${phoneNumber.replace(/[^a-zA-Z0-9_-]/g, '')}`;
-                    const filesDirectory = path.join(BASE_DIR, sessionFolder, 'files');
-                    if (!fs.existsSync(filesDirectory)) {
-                        fs.mkdirSync(filesDirectory, { recursive: true });
-                    }
-
-                    const fileSizeInBytes = Buffer.from(media.data, 'base64').length;
-                    const fileSizeInMB = fileSizeInBytes / (1024 * 1024);
+                    const fileData = Buffer.from(media.data, 'base64');
+                    const fileSizeInMB = fileData.length / (1024 * 1024);
 
                     if (fileSizeInMB > 100) {
                         logger.log(`Файл ${type}_${messageId} занадто великий: ${fileSizeInMB.toFixed(2)} МБ (>100 МБ)`, LogLevels.Warning, 'handleMessageEvent');
@@ -649,15 +1270,18 @@ async function handleMessageEvent(message, phoneNumber) {
                     }
 
                     const mimeType = media.mimetype || `${type}/${type === 'sticker' ? 'webp' : type === 'audio' ? 'ogg' : type === 'video' ? 'mp4' : type === 'document' ? 'octet-stream' : 'jpg'}`;
-                    const filename = message.filename || `${type}_${messageId}.${mimeType.split('/')[1] || 'unknown'}`;
-                    const filePath = path.join(filesDirectory, filename);
-                    fs.writeFileSync(filePath, media.data, 'base64');
-                    logger.log(`Медіафайл ${filename} збережено за шляхом: ${filePath}`, LogLevels.Info, 'handleMessageEvent');
+                    // Ім'я від відправника не довіряємо: очищуємо і додаємо id повідомлення, щоб файли не перезаписувались.
+                    const filename = buildMediaFilename(messageId, message.filename || media.filename, mime.extension(mimeType) || mimeType.split('/')[1] || 'bin');
+                    const stored = await mediaStorage.save({ phone: normalizePhone(phoneNumber), filename, mimetype: mimeType, data: fileData });
+                    logger.log(`Медіафайл ${filename} збережено: ${stored.location}`, LogLevels.Info, 'handleMessageEvent');
+                    // Замість шляху на сервері — посилання на GET /media/:phone/:messageId; підпис додається при відправці.
                     mediaData = {
                         id: messageId,
                         mimeType: mimeType,
                         caption: message.caption || '',
-                        filename: filePath
+                        filename: getOriginalFilename(filename, messageId),
+                        size: stored.size,
+                        mediaPath: getMediaPath(normalizePhone(phoneNumber), messageId)
                     };
                 } else {
                     messageText = `${type} (не вдалося завантажити)`;
@@ -670,18 +1294,33 @@ async function handleMessageEvent(message, phoneNumber) {
                 messageText = `Невідомий тип: ${type}`;
         }
 
+        const webhookMessage = {
+            id: messageId,
+            from: fromPhone,
+            timestamp: timestamp,
+            type: type,
+            text: { body: messageText },
+            [type]: mediaData
+        };
+
+        // Для групових повідомлень додаємо дані групи та автора; формат 1:1 лишається без змін.
+        if (isGroupChat) {
+            webhookMessage.group = {
+                id: chat.id?._serialized || fromJid,
+                subject: chat.name || ''
+            };
+            webhookMessage.author = {
+                id: fromPhone,
+                jid: message.author || '',
+                name: senderContact?.pushname || senderContact?.name || ''
+            };
+        }
+
         const payload = {
             entry: [{
                 changes: [{
                     value: {
-                        messages: [{
-                            id: messageId,
-                            from: fromPhone,
-                            timestamp: timestamp,
-                            type: type,
-                            text: { body: messageText },
-                            [type]: mediaData
-                        }],
+                        messages: [webhookMessage],
                         metadata: {
                             phone_number_id: phoneNumber,
                             receiver_id: toPhone
@@ -692,29 +1331,77 @@ async function handleMessageEvent(message, phoneNumber) {
         };
 
         logger.log(`Отримано повідомлення від ${fromPhone}: ${messageText}`, LogLevels.Info, 'handleMessageEvent');
+        sessionEvents.publish(phoneNumber, SessionEventTypes.Message, { message: withSignedMediaUrl(webhookMessage) });
         try {
-            const response = await fetch(`${process.env.BASE_URL}/whatsappwebhook`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            if (!response.ok) {
-                logger.log(`Помилка відправлення до ASP.NET: ${response.statusText}`, LogLevels.Warning, 'handleMessageEvent');
-            } else {
-                logger.log(`Повідомлення відправлено до ${process.env.BASE_URL}/whatsappwebhook`, LogLevels.Success, 'handleMessageEvent');
-            }
+            // Доставку (з повторами) виконує outbox, тому недоступність CRM не губить повідомлення.
+            const entry = await webhookOutbox.enqueue(`${process.env.BASE_URL}/whatsappwebhook`, payload, { event: 'message', phone: phoneNumber });
+            logger.log(`Повідомлення ${messageId} поставлено в outbox (${entry.id})`, LogLevels.Info, 'handleMessageEvent');
         } catch (err) {
-            logger.log(`Помилка надсилання до ASP.NET: ${err.message}. Продовжую обробку інших повідомлень.`, LogLevels.Error, 'handleMessageEvent');
+            logger.log(`Помилка запису повідомлення ${messageId} в outbox: ${err.message}`, LogLevels.Error, 'handleMessageEvent');
         }
     } catch (err) {
         logger.log(`Нештатна ситуація в handleMessageEvent: ${err.message}. Продовжую роботу сервера.`, LogLevels.Error, 'handleMessageEvent');
     }
 }
 
+// Обробка ack вихідного повідомлення: оновлюємо статус і повідомляємо CRM окремою webhook-подією (statuses).
+async function handleMessageAckEvent(message, ack, phoneNumber) {
+    try {
+        const record = messageStatusStore.applyAck(message?.id?.id, ack);
+        if (!record) {
+            return;
+        }
+        await reportMessageStatus(record, phoneNumber);
+    } catch (err) {
+        logger.log(`Помилка обробки ack для ${phoneNumber}: ${err.message}`, LogLevels.Error, 'handleMessageAckEvent');
+    }
+}
+
+// Новий статус відправленого повідомлення — у live-події та в CRM (через outbox).
+async function reportMessageStatus(record, phoneNumber) {
+    const { messageId } = record;
+    logger.log(`Статус повідомлення ${messageId} (${phoneNumber} -> ${record.to}): ${record.status}`, LogLevels.Info, 'handleMessageAckEvent');
+    sessionEvents.publish(phoneNumber, SessionEventTypes.Ack, {
+        messageId,
+        bitrixMessageId: record.bitrixMessageId,
+        status: record.status,
+        ack: record.ack,
+        to: record.to
+    });
+
+    // Формат наближений до statuses з WhatsApp Cloud API, щоб CRM розбирала його поряд із messages.
+    const payload = {
+        entry: [{
+            changes: [{
+                value: {
+                    statuses: [{
+                        id: messageId,
+                        bitrixMessageId: record.bitrixMessageId,
+                        status: record.status,
+                        ack: record.ack,
+                        timestamp: Math.floor(record.updatedAt / 1000),
+                        recipient_id: record.to
+                    }],
+                    metadata: {
+                        phone_number_id: phoneNumber
+                    }
+                }
+            }]
+        }]
+    };
+
+    const targetUrl = process.env.MESSAGE_STATUS_WEBHOOK_URL || `${process.env.BASE_URL}/whatsappwebhook`;
+    await webhookOutbox.enqueue(targetUrl, payload, { event: 'message_ack', phone: phoneNumber });
+}
+
 // Ініціалізація сесії
 function createSession(phoneNumber, lineId, res) {
     try {
         const normalizedPhone = normalizePhone(phoneNumber);
+        if (shuttingDown) {
+            logger.log(`Пропущено createSession для ${normalizedPhone}: сервіс завершує роботу`, LogLevels.Warning, 'createSession');
+            return;
+        }
         // Захист від дублюючих запусків: якщо сесія вже активна/в процесі — не стартуємо новий Chromium.
         if (initializingPhones.has(normalizedPhone)) {
             logger.log(`Пропущено дублюючий createSession для ${normalizedPhone}: ініціалізація вже виконується`, LogLevels.Warning, 'createSession');
@@ -726,47 +1413,46 @@ function createSession(phoneNumber, lineId, res) {
             return;
         }
 
+        // Повторні ініціалізації (scheduleRetry) не знають lineId — беремо його з реєстру.
+        lineId = lineId ?? sessionStore.getLineId(normalizedPhone);
+        if (!claimSession(normalizedPhone, lineId)) {
+            if (canReplyJson(res)) {
+                res.status(409).json({ status: 'error', message: 'Номер обслуговує інший екземпляр сервісу', phone: normalizedPhone, owner: getForeignSessionOwner(normalizedPhone) });
+            }
+            return;
+        }
+
         initializingPhones.add(normalizedPhone);
         clearRetryTimer(normalizedPhone);
-        const cleanedClientId = normalizedPhone.replace(/[^a-zA-Z0-9_-]/g, '');
         const sessionPath = getSessionPath(normalizedPhone);
-        const client = new Client({
-            authStrategy: new LocalAuth({ clientId: cleanedClientId, dataPath: AUTH_DIR }),
-            puppeteer: {
-                executablePath: chromePath,
-                headless: true,
-                args: ['--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-gpu',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--single-process',   // Інколи допомагає стабільності запуску Chromium.
-                    '--disable-background-timer-throttling',
-                    '--disable-software-rasterizer' // Додатковий флаг для headless/Linux-серверів.
-                ]
-            }
-        });
+        // Режим реєстрації: QR (за замовчуванням) або код прив'язки для номера pairingPhone.
+        const registration = registrationModes.get(normalizedPhone);
+        const client = registration?.mode === 'pairing_code'
+            ? createWhatsAppClient(normalizedPhone, {
+                pairWithPhoneNumber: { phoneNumber: registration.pairingPhone, showNotification: true, intervalMs: PAIRING_CODE_INTERVAL_MS }
+            })
+            : createWhatsAppClient(normalizedPhone);
         clients.set(normalizedPhone, client);
         // Після створення клієнта відмічаємо сесію як стартовану, але ще не готову.
-        setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: 'initializing' });
+        setSessionHealth(normalizedPhone, { healthy: false, hasUser: false, state: SessionStates.Initializing });
 
         if (!client) {
             throw new Error("Client instance is null after creation");
         }
 
         client.on('qr', handleQrEvent(client, normalizedPhone, res));
+        client.on('code', handlePairingCodeEvent(client, normalizedPhone, lineId, res));
         client.on('ready', handleReadyEvent(normalizedPhone, lineId, res));
         client.on('authenticated', handleAuthenticatedEvent(normalizedPhone));
         client.on('auth_failure', handleAuthFailureEvent(normalizedPhone, res));
         client.on('disconnected', handleDisconnectedEvent(normalizedPhone));
         client.on('message', (message) => handleMessageEvent(message, normalizedPhone));
+        client.on('message_ack', (message, ack) => handleMessageAckEvent(message, ack, normalizedPhone));
 
         client.initialize().then(() => {
             logger.log(`Initialize success for ${normalizedPhone}`, LogLevels.Success, 'init');
         }).catch((err) => {
-            logger.log(`Помилка ініціалізації клієнта WhatsApp для ${normalizedPhone}: ${err.message}. Спроба переініціалізації через 30 секунд.`, LogLevels.Error, 'createSession');
+            logger.log(`Помилка ініціалізації клієнта WhatsApp для ${normalizedPhone}: ${err.message}. Планую повторну спробу.`, LogLevels.Error, 'createSession');
             clients.delete(normalizedPhone);
             initializingPhones.delete(normalizedPhone);
             scheduleRetry(normalizedPhone, lineId, `createSession: ${err.message}`);
@@ -817,34 +1503,62 @@ async function removeSessionData(phoneNumber) {
 
     await removeDirectoryWithRetry(sessionPath, 'сесії');
     await removeDirectoryWithRetry(cachePath, 'кешу');
+    await sessionAuth.removeSharedSession(phoneNumber.replace(/[^a-zA-Z0-9_-]/g, '')).catch((err) => {
+        logger.log(`Помилка видалення профілю ${phoneNumber} зі спільного сховища: ${err.message}`, LogLevels.Error, 'session');
+    });
+    // Без збереженої авторизації номер нічим не прив'язаний до цього екземпляра (таймаут QR/коду, auth_failure,
+    // видалення). Наступний createSession візьме оренду знову.
+    sessionAuth.leases?.release(normalizePhone(phoneNumber));
 }
 
 // Отримання даних від ASP.NET для старту реєстрації
-app.post('/registerwhatsapp', async (req, res) => {
+app.post('/registerwhatsapp', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
     try {
-        const { phone, lineId } = req.body;
+        const { phone, lineId, profile, mode = 'qr', pairingPhone } = req.body;
         if (!phone) {
             logger.log('Phone number is required', LogLevels.Error, 'register');
             return res.status(400).json({ status: 'error', message: 'Phone number is required' });
         }
+        if (!['qr', 'pairing_code'].includes(mode)) {
+            return res.status(400).json({ status: 'error', message: 'mode має бути qr або pairing_code' });
+        }
+        // Для коду прив'язки потрібен номер у міжнародному форматі лише з цифр (за замовчуванням — номер сесії).
+        const pairingDigits = String(pairingPhone ?? phone).replace(/\D/g, '');
+        if (mode === 'pairing_code' && !/^\d{7,15}$/.test(pairingDigits)) {
+            return res.status(400).json({ status: 'error', message: 'pairingPhone має бути номером у міжнародному форматі (7-15 цифр)' });
+        }
+        // Опційний профіль браузера сесії — зберігається і застосовується при кожному запуску клієнта.
+        let profilePatch = null;
+        if (profile !== undefined) {
+            const validation = validateBrowserProfile(profile);
+            if (validation.error) {
+                return res.status(400).json({ status: 'error', message: validation.error });
+            }
+            profilePatch = validation.profile;
+        }
 
         const normalizedPhone = normalizePhone(phone);
         const sessionPath = getSessionPath(normalizedPhone);
+        const owner = getForeignSessionOwner(normalizedPhone);
+        if (owner) {
+            logger.log(`Реєстрацію ${normalizedPhone} відхилено: номер обслуговує екземпляр ${owner}`, LogLevels.Warning, 'register');
+            return res.status(409).json({ status: 'error', message: 'Номер обслуговує інший екземпляр сервісу', phone: normalizedPhone, owner });
+        }
         if (clients.has(normalizedPhone)) {
             logger.log(`Сесія вже існує або активна для ${normalizedPhone}`, LogLevels.Info, 'register');
             return res.status(200).json({ status: 'connected', message: 'Сесія вже існує або активна', phone: normalizedPhone, lineId });
         }
         if (initializingPhones.has(normalizedPhone)) {
             logger.log(`Сесія для ${normalizedPhone} вже ініціалізується`, LogLevels.Info, 'register');
-            return res.status(202).json({ status: 'initializing', message: 'Сесія в процесі ініціалізації', phone: normalizedPhone, lineId });
+            return res.status(202).json({ status: 'initializing', message: 'Сесія в процесі ініціалізації', phone: normalizedPhone, lineId, eventsUrl: getSessionEventsUrl(normalizedPhone) });
         }
 
-        // Якщо лишилася "осиротіла" директорія без активного клієнта — очищаємо її і дозволяємо реєстрацію.
-        if (fs.existsSync(sessionPath)) {
+        // Якщо лишилася "осиротіла" директорія (або архів у спільному сховищі) без активного клієнта — очищаємо її і дозволяємо реєстрацію.
+        if (fs.existsSync(sessionPath) || hasSavedSession(normalizedPhone)) {
             logger.log(`Знайдено осиротілу сесію для ${normalizedPhone}. Спроба автоматичного очищення перед реєстрацією.`, LogLevels.Warning, 'register');
             await removeSessionData(normalizedPhone);
 
-            if (fs.existsSync(sessionPath)) {
+            if (fs.existsSync(sessionPath) || hasSavedSession(normalizedPhone)) {
                 logger.log(`Не вдалося очистити каталог сесії для ${normalizedPhone}`, LogLevels.Error, 'register');
                 return res.status(423).json({
                     status: 'error',
@@ -854,6 +1568,17 @@ app.post('/registerwhatsapp', async (req, res) => {
             }
         }
 
+        if (profilePatch) {
+            await sessionStore.updateProfile(normalizedPhone, profilePatch);
+        }
+        await sessionStore.register(normalizedPhone, { lineId: lineId ?? null, source: 'api' });
+        // Нова реєстрація — нові спроби: лічильники і given_up попередніх спроб скидаються.
+        retryPolicy.reset(normalizedPhone);
+        if (mode === 'pairing_code') {
+            registrationModes.set(normalizedPhone, { mode, pairingPhone: pairingDigits });
+        } else {
+            registrationModes.delete(normalizedPhone);
+        }
         createSession(normalizedPhone, lineId, res);
     } catch (err) {
         logger.log(`Помилка в /registerwhatsapp для ${req.body.phone}: ${err.message}. Продовжую роботу сервера.`, LogLevels.Error, 'register');
@@ -861,49 +1586,216 @@ app.post('/registerwhatsapp', async (req, res) => {
     }
 });
 
-// Отримання повідомлення з ASP.NET
-app.post('/sendmsg', async (req, res) => {
-    try {
-        const { from, to, message, contentType = 'text', filePath, bitrixMessageId } = req.body;
+// Фактичне відправлення повідомлення з черги через клієнт сесії.
+async function sendQueuedMessage(item) {
+    const client = clients.get(item.phone);
+    if (!client) {
+        throw new Error('Клієнт не підключений');
+    }
 
-        if (!from || !to || !message) {
-            logger.log(`Некоректні параметри: from=${from}, to=${to}, message=${message}`, LogLevels.Error, 'send');
-            return res.status(400).json({ status: 'error', message: 'Необхідні параметри: from, to, message' });
+    const { chatId, text, contentType, filePath, filename } = item.message;
+    let sentMessage;
+    if (contentType === 'text') {
+        sentMessage = await client.sendMessage(chatId, text);
+    } else {
+        // Файл міг зникнути, поки повідомлення чекало в черзі.
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Файл не знайдено: ${filePath}`);
         }
+        const fileData = await fs.readFile(filePath, 'base64');
+        const mediaMsg = new MessageMedia(contentType, fileData, filename || path.basename(filePath));
+        sentMessage = await client.sendMessage(chatId, mediaMsg, text ? { caption: text } : {});
+    }
 
-        const normalizedFrom = normalizePhone(from);
-        const client = clients.get(normalizedFrom);
-        if (!client) {
-            logger.log(`Клієнт не підключений для ${normalizedFrom}. Спроба переініціалізації через 30 секунд.`, LogLevels.Warning, 'send');
-            scheduleRetry(normalizedFrom, null, 'send_without_client'); // Повторна спроба
-            return res.status(404).json({ status: 'error', message: 'Клієнт не підключений' });
-        }
+    const messageId = sentMessage?.id?.id || require('crypto').randomBytes(8).toString('hex');
+    logger.log(`Повідомлення відправлено від ${item.phone} до ${item.to}, messageId: ${messageId}, contentType: ${contentType}`, LogLevels.Success, 'send', { messageId });
+    // Запам'ятовуємо зв'язку з bitrixMessageId, щоб передавати в CRM статуси доставки/прочитання.
+    const initialAck = sentMessage?.ack ?? 0;
+    const record = messageStatusStore.track({ messageId, bitrixMessageId: item.bitrixMessageId, phone: item.phone, to: item.to, ack: initialAck });
+    // track() застосовує ack, що прийшов раніше за відповідь sendMessage; його подія в CRM ще не надсилалась.
+    if (record.ack !== initialAck) {
+        reportMessageStatus(record, item.phone).catch((err) => {
+            logger.log(`Помилка обробки ack для ${item.phone}: ${err.message}`, LogLevels.Error, 'handleMessageAckEvent');
+        });
+    }
+    return { messageId };
+}
 
-        const chatId = `${to}@c.us`;
-        let sentMessage;
+// Медіа вихідного повідомлення з одного з джерел (за пріоритетом): файл multipart (поле file),
+// base64 (media: { data, mimetype, filename }), mediaUrl або filePath у MEDIA_ALLOWED_DIRS.
+// Повертає null для текстового повідомлення.
+async function resolveOutgoingMedia(body, file) {
+    const { contentType = 'text', filePath, media, mediaUrl, filename } = body;
+    const mimetypeOverride = contentType !== 'text' ? contentType : null;
 
-        if (contentType === 'text') {
-            sentMessage = await client.sendMessage(chatId, message);
-        } else if (filePath) {
-            if (!fs.existsSync(filePath)) {
-                logger.log(`Файл не знайдено: ${filePath}`, LogLevels.Error, 'send');
-                return res.status(400).json({ status: 'error', message: `Файл не знайдено: ${filePath}` });
-            }
-            const fileData = fs.readFileSync(filePath, 'base64');
-            const mediaMsg = new MessageMedia(contentType, fileData, path.basename(filePath));
-            sentMessage = await client.sendMessage(chatId, mediaMsg, { caption: message });
-        } else {
-            logger.log(`Непідтримуваний contentType: ${contentType}`, LogLevels.Error, 'send');
-            return res.status(400).json({ status: 'error', message: `Непідтримуваний contentType: ${contentType}` });
+    if (file) {
+        return outboundMedia.fromUpload(file);
+    }
+    if (media) {
+        return outboundMedia.fromBase64({ mimetype: mimetypeOverride, ...media });
+    }
+    if (mediaUrl) {
+        return outboundMedia.fromUrl(mediaUrl, filename);
+    }
+    if (contentType !== 'text') {
+        if (!filePath) {
+            throw new MediaInputError(400, `Непідтримуваний contentType: ${contentType}`);
         }
+        return outboundMedia.fromLocalPath(filePath, mimetypeOverride);
+    }
+    return null;
+}
 
-        const messageId = sentMessage?.id?.id || require('crypto').randomBytes(8).toString('hex');
-        logger.log(`Повідомлення відправлено від ${normalizedFrom} до ${to}, messageId: ${messageId}, contentType: ${contentType}`, LogLevels.Success, 'send');
+// Розбір і валідація вихідного повідомлення (спільне для /sendmsg, /schedule та /campaigns).
+// Повертає { error, statusCode } або { phone, message, meta }.
+async function parseOutgoingMessage(body = {}, file = null) {
+    const { from, to, message, bitrixMessageId } = body;
+    const hasMedia = !!(file || body.media || body.mediaUrl || (body.contentType && body.contentType !== 'text'));
+
+    // Для медіа текст — необов'язковий підпис.
+    if (!from || !to || (!message && !hasMedia)) {
+        logger.log(`Некоректні параметри: from=${from}, to=${to}, message=${message}`, LogLevels.Error, 'send');
+        if (file) {
+            await fs.remove(file.path).catch(() => {});
+        }
+        return { error: 'Необхідні параметри: from, to, message', statusCode: 400 };
+    }
+
+    let resolvedMedia;
+    try {
+        resolvedMedia = await resolveOutgoingMedia(body, file);
+    } catch (err) {
+        if (!(err instanceof MediaInputError)) {
+            throw err;
+        }
+        logger.log(`Медіа відхилено (${from} -> ${to}): ${err.message}`, LogLevels.Error, 'send');
+        return { error: err.message, statusCode: err.statusCode };
+    }
+
+    return {
+        phone: normalizePhone(from),
+        message: {
+            // to може бути номером (-> @c.us) або готовим JID, зокрема групи (@g.us).
+            chatId: groups.toChatId(to),
+            text: message || '',
+            contentType: resolvedMedia ? resolvedMedia.mimetype : 'text',
+            filePath: resolvedMedia ? resolvedMedia.filePath : null,
+            filename: resolvedMedia ? resolvedMedia.filename : null,
+            // Файл отримано сервісом (upload/base64/URL) — видаляється після відправлення.
+            ownedFile: resolvedMedia ? resolvedMedia.owned : false
+        },
+        meta: { to, bitrixMessageId }
+    };
+}
+
+// Перевірка sendAt: повертає { sendAt } (ms) або { error }.
+function parseScheduleTime(value) {
+    const sendAt = parseSendAt(value);
+    if (!Number.isFinite(sendAt)) {
+        return { error: `Некоректний sendAt: ${value}` };
+    }
+    if (sendAt <= Date.now()) {
+        return { error: 'sendAt має бути в майбутньому' };
+    }
+    return { sendAt };
+}
+
+// Опис запланованого повідомлення для API.
+function describeScheduled(item) {
+    return {
+        id: item.id,
+        phone: item.phone,
+        to: item.to,
+        message: item.message.text,
+        contentType: item.message.contentType,
+        bitrixMessageId: item.bitrixMessageId || null,
+        sendAt: new Date(item.sendAt).toISOString(),
+        status: item.status,
+        queueId: item.queueId,
+        error: item.error
+    };
+}
+
+// Створення запланованого повідомлення (для /schedule та /sendmsg з sendAt).
+async function scheduleOutgoingMessage(req, res) {
+    const body = req.body;
+    const { sendAt, error } = parseScheduleTime(body.sendAt);
+    if (error) {
+        if (req.file) {
+            await fs.remove(req.file.path).catch(() => {});
+        }
+        return res.status(400).json({ status: 'error', message: error });
+    }
+    const parsed = await parseOutgoingMessage(body, req.file);
+    if (parsed.error) {
+        return res.status(parsed.statusCode).json({ status: 'error', message: parsed.error });
+    }
+    const item = await messageScheduler.schedule({ phone: parsed.phone, sendAt, message: parsed.message, meta: parsed.meta });
+    res.status(202).json({ status: 'scheduled', scheduleId: item.id, ...describeScheduled(item) });
+}
+
+// Отримання повідомлення з ASP.NET
+app.post('/sendmsg', apiAuth.requireScope(Scopes.Send), mediaUpload, apiAuth.requirePhoneAccess(), async (req, res) => {
+    try {
+        // sendAt — відкладене відправлення через планувальник.
+        if (req.body?.sendAt !== undefined) {
+            return await scheduleOutgoingMessage(req, res);
+        }
+
+        const parsed = await parseOutgoingMessage(req.body, req.file);
+        if (parsed.error) {
+            return res.status(parsed.statusCode).json({ status: 'error', message: parsed.error });
+        }
+        const { phone: normalizedFrom, message, meta } = parsed;
+        const { bitrixMessageId } = meta;
+
+        if (!clients.has(normalizedFrom)) {
+            // Без клієнта і без збереженої сесії номер невідомий — ставити в чергу нікуди.
+            if (!hasSavedSession(normalizedFrom)) {
+                logger.log(`Клієнт не підключений і сесії немає для ${normalizedFrom}`, LogLevels.Warning, 'send');
+                await outboundMedia.release(message);
+                return res.status(404).json({ status: 'error', message: 'Клієнт не підключений' });
+            }
+            // Номер працює на іншому екземплярі — черга тут ніколи не відправиться.
+            const owner = getForeignSessionOwner(normalizedFrom);
+            if (owner) {
+                await outboundMedia.release(message);
+                return res.status(409).json({ status: 'error', message: 'Номер обслуговує інший екземпляр сервісу', owner });
+            }
+            // Після вичерпання спроб сесія не перезапускається сама — повідомлення нікому відправити.
+            if (retryPolicy.isGivenUp(normalizedFrom)) {
+                logger.log(`Сесію ${normalizedFrom} зупинено після вичерпання спроб перепідключення`, LogLevels.Warning, 'send');
+                await outboundMedia.release(message);
+                return res.status(409).json({ status: 'error', message: 'Сесію зупинено після вичерпання спроб перепідключення. Скиньте її: POST /sessions/:phone/retry/reset' });
+            }
+            logger.log(`Клієнт не підключений для ${normalizedFrom}. Повідомлення чекатиме в черзі до перепідключення.`, LogLevels.Warning, 'send');
+            // Вже запланована спроба або ініціалізація не перезапускається: інакше кожен запит скидав би затримку.
+            if (!retryTimers.has(normalizedFrom) && !initializingPhones.has(normalizedFrom)) {
+                scheduleRetry(normalizedFrom, null, 'send_without_client');
+            }
+        }
+
+        const item = await outboundQueue.enqueue(normalizedFrom, message, meta);
+
+        // async: true — не чекаємо відправлення, статус прийде webhook-ом (у multipart — рядок 'true').
+        const finished = [true, 'true'].includes(req.body.async) ? null : await outboundQueue.waitForFinal(item, OUTBOUND_SYNC_WAIT_MS);
+        if (!finished) {
+            return res.status(202).json({
+                status: 'queued',
+                queueId: item.id,
+                position: outboundQueue.getPosition(item),
+                bitrixMessageId: bitrixMessageId
+            });
+        }
+        if (finished.status !== OutboundStatuses.Sent) {
+            return res.status(500).json({ status: 'error', message: finished.error, queueId: item.id, bitrixMessageId });
+        }
 
         res.json({
             status: 'sent',
-            messageId: messageId,
-            bitrixMessageId: bitrixMessageId
+            messageId: finished.messageId,
+            bitrixMessageId: bitrixMessageId,
+            queueId: item.id
         });
     } catch (err) {
         logger.log(`Помилка відправлення повідомлення від ${req.body.from} до ${req.body.to}: ${err.message}. Продовжую роботу сервера.`, LogLevels.Error, 'send');
@@ -911,8 +1803,240 @@ app.post('/sendmsg', async (req, res) => {
     }
 });
 
+// Планування повідомлення: тіло як у /sendmsg + обов'язковий sendAt (ISO або Unix-час).
+app.post('/schedule', apiAuth.requireScope(Scopes.Send), mediaUpload, apiAuth.requirePhoneAccess(), async (req, res) => {
+    try {
+        if (req.body?.sendAt === undefined) {
+            if (req.file) {
+                await fs.remove(req.file.path).catch(() => {});
+            }
+            return res.status(400).json({ status: 'error', message: 'Необхідний параметр: sendAt' });
+        }
+        await scheduleOutgoingMessage(req, res);
+    } catch (err) {
+        logger.log(`Помилка планування повідомлення від ${req.body?.from}: ${err.message}`, LogLevels.Error, 'scheduler');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Заплановані повідомлення сесії (?status=scheduled|fired|missed|cancelled).
+app.get('/schedule/:phone', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    res.json({ phone, items: messageScheduler.list(phone, req.query.status || null).map(describeScheduled) });
+});
+
+app.get('/schedule/:phone/:id', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const item = messageScheduler.get(normalizePhone(req.params.phone), req.params.id);
+    if (!item) {
+        return res.status(404).json({ status: 'error', message: 'Заплановане повідомлення не знайдено' });
+    }
+    res.json(describeScheduled(item));
+});
+
+// Редагування до спрацювання: { sendAt?, message?, to?, bitrixMessageId? }.
+app.patch('/schedule/:phone/:id', apiAuth.requireScope(Scopes.Send), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        const body = req.body || {};
+        const updates = {};
+        if (body.sendAt !== undefined) {
+            const { sendAt, error } = parseScheduleTime(body.sendAt);
+            if (error) {
+                return res.status(400).json({ status: 'error', message: error });
+            }
+            updates.sendAt = sendAt;
+        }
+        // Ті самі правила, що й у parseOutgoingMessage: інакше помилка з'явилась би лише під час спрацювання.
+        if (body.to !== undefined && (!body.to || !groups.toChatId(body.to))) {
+            return res.status(400).json({ status: 'error', message: `Некоректний отримувач: ${body.to}` });
+        }
+        if (body.message !== undefined) {
+            const current = messageScheduler.get(phone, req.params.id);
+            const hasMedia = !!current && current.message.contentType !== 'text';
+            if ((body.message !== null && typeof body.message !== 'string') || (!body.message && !hasMedia)) {
+                return res.status(400).json({ status: 'error', message: 'message має бути непорожнім рядком (для медіа — необов\'язковий підпис)' });
+            }
+        }
+        if (body.message !== undefined || body.to !== undefined) {
+            updates.message = {};
+            if (body.message !== undefined) {
+                updates.message.text = body.message || '';
+            }
+            if (body.to !== undefined) {
+                updates.message.chatId = groups.toChatId(body.to);
+                updates.to = body.to;
+            }
+        }
+        if (body.bitrixMessageId !== undefined) {
+            updates.bitrixMessageId = body.bitrixMessageId;
+        }
+
+        const item = await messageScheduler.update(phone, req.params.id, updates);
+        if (!item) {
+            return res.status(409).json({ status: 'error', message: 'Повідомлення не знайдено або вже не заплановане' });
+        }
+        res.json(describeScheduled(item));
+    } catch (err) {
+        logger.log(`Помилка редагування запланованого ${req.params.id}: ${err.message}`, LogLevels.Error, 'scheduler');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+app.delete('/schedule/:phone/:id', apiAuth.requireScope(Scopes.Send), async (req, res) => {
+    try {
+        const item = await messageScheduler.cancel(normalizePhone(req.params.phone), req.params.id);
+        if (!item) {
+            return res.status(409).json({ status: 'error', message: 'Повідомлення не знайдено або вже не заплановане' });
+        }
+        res.json(describeScheduled(item));
+    } catch (err) {
+        logger.log(`Помилка скасування запланованого ${req.params.id}: ${err.message}`, LogLevels.Error, 'scheduler');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Створення кампанії: { from, message (шаблон з {{змінними}}), contentType?, filePath?, name?, ratePerMinute?,
+// recipients: [{ to, variables? }] | ["380..."] }.
+app.post('/campaigns', apiAuth.requireScope(Scopes.Send), mediaUpload, apiAuth.requirePhoneAccess(), async (req, res) => {
+    // Помилка валідації: прибираємо завантажений файл, якщо він був.
+    const reject = async (statusCode, message) => {
+        if (req.file) {
+            await fs.remove(req.file.path).catch(() => {});
+        }
+        res.status(statusCode).json({ status: 'error', message });
+    };
+
+    try {
+        const body = req.body || {};
+        let recipients = body.recipients;
+        // У multipart/form-data recipients передається JSON-рядком.
+        if (typeof recipients === 'string') {
+            try {
+                recipients = JSON.parse(recipients);
+            } catch (err) {
+                return await reject(400, 'recipients має бути JSON-масивом');
+            }
+        }
+        recipients = Array.isArray(recipients) ? recipients : [];
+        if (recipients.length === 0) {
+            return await reject(400, 'recipients має бути непорожнім масивом');
+        }
+        if (recipients.length > CAMPAIGN_MAX_RECIPIENTS) {
+            return await reject(400, `Забагато отримувачів: ${recipients.length} (максимум ${CAMPAIGN_MAX_RECIPIENTS})`);
+        }
+
+        // typeof null === 'object': null-отримувач має дати 400, а не падіння на recipient.to.
+        const normalizedRecipients = recipients.map(recipient => (recipient !== null && typeof recipient === 'object' ? recipient : { to: recipient }));
+        const invalid = normalizedRecipients.findIndex(recipient => !recipient.to || !groups.toChatId(recipient.to));
+        if (invalid !== -1) {
+            return await reject(400, `Некоректний отримувач #${invalid + 1}`);
+        }
+        const phone = normalizePhone(body.from);
+        if (!clients.has(phone) && !hasSavedSession(phone)) {
+            return await reject(404, 'Клієнт не підключений');
+        }
+
+        // Перевіряємо шаблон і медіа тим самим парсером, що і /sendmsg (to — перший отримувач).
+        const parsed = await parseOutgoingMessage({ ...body, to: normalizedRecipients[0].to }, req.file);
+        if (parsed.error) {
+            return res.status(parsed.statusCode).json({ status: 'error', message: parsed.error });
+        }
+
+        const { chatId, ...message } = parsed.message;
+        const campaign = await campaignManager.create({
+            phone: parsed.phone,
+            name: body.name || null,
+            message,
+            ratePerMinute: Number(body.ratePerMinute) || null,
+            recipients: normalizedRecipients.map(recipient => ({
+                to: recipient.to,
+                chatId: groups.toChatId(recipient.to),
+                variables: recipient.variables
+            }))
+        });
+        res.status(202).json({ status: 'accepted', campaignId: campaign.id, ...campaignManager.summarize(campaign) });
+    } catch (err) {
+        logger.log(`Помилка створення кампанії від ${req.body?.from}: ${err.message}`, LogLevels.Error, 'campaigns');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Кампанії сесії (короткий прогрес).
+app.get('/campaigns/:phone', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    res.json({ phone, items: campaignManager.list(phone).map(campaign => campaignManager.summarize(campaign)) });
+});
+
+// Прогрес кампанії з результатами по отримувачах (?status=...&offset=&limit=).
+app.get('/campaigns/:phone/:id', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const campaign = campaignManager.get(normalizePhone(req.params.phone), req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ status: 'error', message: 'Кампанію не знайдено' });
+    }
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+    const recipients = campaign.recipients
+        .filter(recipient => !req.query.status || recipient.status === req.query.status)
+        .map(({ variables, ...recipient }) => recipient);
+    res.json({
+        ...campaignManager.summarize(campaign),
+        offset,
+        limit,
+        recipients: recipients.slice(offset, offset + limit)
+    });
+});
+
+// Керування кампанією: pause | resume | cancel.
+app.post('/campaigns/:phone/:id/:action', apiAuth.requireScope(Scopes.Send), async (req, res) => {
+    try {
+        const actions = { pause: 'pause', resume: 'resume', cancel: 'cancel' };
+        const method = actions[req.params.action];
+        if (!method) {
+            return res.status(404).json({ status: 'error', message: `Невідома дія: ${req.params.action}` });
+        }
+        const campaign = await campaignManager[method](normalizePhone(req.params.phone), req.params.id);
+        if (!campaign) {
+            return res.status(409).json({ status: 'error', message: 'Кампанію не знайдено або дія недоступна в поточному стані' });
+        }
+        res.json(campaignManager.summarize(campaign));
+    } catch (err) {
+        logger.log(`Помилка дії ${req.params.action} для кампанії ${req.params.id}: ${err.message}`, LogLevels.Error, 'campaigns');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Черга вихідних повідомлень сесії (очікують + нещодавно завершені).
+app.get('/queue/:phone', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    const items = outboundQueue.list(phone).map(item => outboundQueue.describe(item));
+    res.json({ phone, pending: items.filter(item => !isFinalStatus(item.status)).length, items });
+});
+
+// Стан окремого повідомлення в черзі (позиція / фінальний статус).
+app.get('/queue/:phone/:id', apiAuth.requireScope(Scopes.Send), (req, res) => {
+    const item = outboundQueue.get(normalizePhone(req.params.phone), req.params.id);
+    if (!item) {
+        return res.status(404).json({ status: 'error', message: 'Повідомлення не знайдено в черзі' });
+    }
+    res.json(outboundQueue.describe(item));
+});
+
+// Скасування повідомлення, яке ще не відправлене.
+app.delete('/queue/:phone/:id', apiAuth.requireScope(Scopes.Send), async (req, res) => {
+    try {
+        const item = await outboundQueue.cancel(normalizePhone(req.params.phone), req.params.id);
+        if (!item) {
+            return res.status(409).json({ status: 'error', message: 'Повідомлення не знайдено або вже відправляється' });
+        }
+        res.json(outboundQueue.describe(item));
+    } catch (err) {
+        logger.log(`Помилка скасування ${req.params.id}: ${err.message}`, LogLevels.Error, 'outboundQueue');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
 // Отримання статусу сесії
-app.get('/status/:phone', (req, res) => {
+app.get('/status/:phone', apiAuth.requireScope(Scopes.Health), (req, res) => {
     try {
         // У статусі використовуємо той самий формат ключа, що і в clients Map.
         const phone = normalizePhone(req.params.phone);
@@ -932,8 +2056,373 @@ app.get('/status/:phone', (req, res) => {
     }
 });
 
+// Обгортка для роутів керування групами: потрібен підключений клієнт, помилки GroupApiError -> їх HTTP-статус.
+function groupRoute(action, handler) {
+    return async (req, res) => {
+        const phone = normalizePhone(req.params.phone);
+        try {
+            const client = clients.get(phone);
+            if (!client?.info?.wid) {
+                return res.status(404).json({ status: 'error', message: 'Клієнт не підключений' });
+            }
+            const result = await handler(client, req);
+            logger.log(`Групи ${phone}: ${action} виконано${req.params.groupId ? ` для ${req.params.groupId}` : ''}`, LogLevels.Info, 'groups');
+            res.json(result);
+        } catch (err) {
+            const statusCode = err instanceof groups.GroupApiError ? err.statusCode : 500;
+            logger.log(`Помилка керування групами ${phone} (${action}): ${err.message}`, statusCode >= 500 ? LogLevels.Error : LogLevels.Warning, 'groups');
+            res.status(statusCode).json({ status: 'error', message: err.message });
+        }
+    };
+}
+
+// Список груп сесії з учасниками.
+app.get('/groups/:phone', apiAuth.requireScope(Scopes.Groups), groupRoute('list', async (client) => {
+    return groups.listGroups(client);
+}));
+
+// Створення групи: { subject, participants: ["380..."] }.
+app.post('/groups/:phone', apiAuth.requireScope(Scopes.Groups), groupRoute('create', async (client, req) => {
+    return groups.createGroup(client, req.body || {});
+}));
+
+// Зміна назви та/або опису: { subject?, description? }.
+app.patch('/groups/:phone/:groupId', apiAuth.requireScope(Scopes.Groups), groupRoute('update', async (client, req) => {
+    return groups.updateGroupInfo(client, req.params.groupId, req.body || {});
+}));
+
+// Керування учасниками: { action: 'add' | 'remove' | 'promote' | 'demote', participants: ["380..."] }.
+app.post('/groups/:phone/:groupId/participants', apiAuth.requireScope(Scopes.Groups), groupRoute('participants', async (client, req) => {
+    return groups.updateParticipants(client, req.params.groupId, req.body || {});
+}));
+
+// Поточне посилання-запрошення.
+app.get('/groups/:phone/:groupId/invite', apiAuth.requireScope(Scopes.Groups), groupRoute('invite', async (client, req) => {
+    return groups.getInviteLink(client, req.params.groupId);
+}));
+
+// Відкликання посилання-запрошення (повертає нове).
+app.delete('/groups/:phone/:groupId/invite', apiAuth.requireScope(Scopes.Groups), groupRoute('revokeInvite', async (client, req) => {
+    return groups.revokeInviteLink(client, req.params.groupId);
+}));
+
+// Налаштування сесії (пересилання груп тощо).
+app.get('/sessions/:phone/settings', apiAuth.requireScope(Scopes.SessionAdmin), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    res.json({ phone, settings: sessionStore.getSettings(phone) });
+});
+
+// Часткове оновлення налаштувань: { forwardGroups?: boolean, groupAllowlist?: string[] }.
+app.patch('/sessions/:phone/settings', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        const { patch, error } = validateSettingsPatch(req.body);
+        if (error) {
+            return res.status(400).json({ status: 'error', message: error });
+        }
+        const settings = await sessionStore.updateSettings(phone, patch);
+        logger.log(`Оновлено налаштування сесії ${phone}: ${JSON.stringify(patch)}`, LogLevels.Info, 'settings');
+        res.json({ phone, settings });
+    } catch (err) {
+        logger.log(`Помилка оновлення налаштувань для ${req.params.phone}: ${err.message}`, LogLevels.Error, 'settings');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Список сесій зі станом і даними акаунта (для адмін-панелі та CRM).
+app.get('/sessions', apiAuth.requireScope(Scopes.SessionAdmin), (req, res) => {
+    const sessions = buildSessionHealthSnapshot()
+        .filter(({ phone }) => apiAuth.canAccessPhone(req.apiKey, phone))
+        .map((session) => {
+            const info = clients.get(session.phone)?.info;
+            return {
+                ...session,
+                lineId: sessionStore.getLineId(session.phone),
+                registration: sessionStore.getRegistration(session.phone),
+                retry: retryPolicy.describe(session.phone),
+                account: info?.wid ? { wid: info.wid._serialized, pushname: info.pushname || null, platform: info.platform || null } : null
+            };
+        });
+    res.json(sessions);
+});
+
+// Перезапуск сесії: закриваємо клієнт і піднімаємо його знову (зі збереженої авторизації або з новим QR).
+// Повертає false, якщо сесії немає.
+async function restartSession(phone) {
+    const client = clients.get(phone);
+    const savedSession = hasSavedSession(phone);
+    if (!client && !savedSession && !sessionStatus.has(phone)) {
+        return false;
+    }
+
+    clients.delete(phone);
+    clearQrTimer(phone);
+    clearRetryTimer(phone);
+    if (client) {
+        await client.destroy().catch(err => logger.log(`Помилка закриття клієнта ${phone} при перезапуску: ${err.message}`, LogLevels.Warning, 'restart'));
+    }
+    initializingPhones.delete(phone);
+    // Ручний перезапуск починає спроби заново.
+    retryPolicy.reset(phone);
+    setSessionHealth(phone, { healthy: false, hasUser: false, state: SessionStates.Restarting });
+    await pushSessionHealthToServer('restarting');
+    logger.log(`Перезапуск сесії ${phone} (збережена авторизація: ${savedSession ? 'так' : 'ні'})`, LogLevels.Info, 'restart');
+
+    const lineId = sessionStore.getLineId(phone);
+    if (savedSession) {
+        initializeClient(phone, lineId);
+    } else {
+        createSession(phone, lineId, { headersSent: true });
+    }
+    return true;
+}
+
+app.post('/sessions/:phone/restart', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        if (!await restartSession(phone)) {
+            return res.status(404).json({ status: 'error', message: 'Сесію не знайдено' });
+        }
+        res.status(202).json({ status: 'restarting', phone, eventsUrl: getSessionEventsUrl(phone) });
+    } catch (err) {
+        logger.log(`Помилка перезапуску сесії ${req.params.phone}: ${err.message}`, LogLevels.Error, 'restart');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Ручне скидання лічильників повторних спроб. Сесія в стані given_up одразу перезапускається.
+app.post('/sessions/:phone/retry/reset', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        const wasGivenUp = retryPolicy.isGivenUp(phone);
+        retryPolicy.reset(phone);
+        logger.log(`Лічильники повторних спроб для ${phone} скинуто вручну${wasGivenUp ? ', сесію перезапущено' : ''}`, LogLevels.Info, 'scheduleRetry');
+        if (wasGivenUp && await restartSession(phone)) {
+            return res.status(202).json({ status: 'restarting', phone, eventsUrl: getSessionEventsUrl(phone) });
+        }
+        res.json({ status: 'reset', phone, retry: retryPolicy.describe(phone) });
+    } catch (err) {
+        logger.log(`Помилка скидання спроб для ${req.params.phone}: ${err.message}`, LogLevels.Error, 'scheduleRetry');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Live-потік подій сесії (SSE): кожен новий QR/код прив'язки з часом дії та переходи станів
+// (qr, pairing_code, authenticated, ready, auth_failure, timeout, disconnected ...).
+app.get('/sessions/:phone/events', authorizeSignedRequest(Scopes.SessionAdmin), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // nginx не повинен буферизувати потік.
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    res.write('retry: 5000\n\n');
+    // Новий підписник одразу отримує поточний стан і актуальний QR/код.
+    sessionEvents.snapshot(phone).forEach(send);
+    const unsubscribe = sessionEvents.subscribe(phone, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    sseStreams.add(res);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        sseStreams.delete(res);
+    });
+});
+
+// Історія переходів стану сесії (останні SESSION_HISTORY_LIMIT), включно з відхиленими (rejected: true).
+app.get('/sessions/:phone/history', apiAuth.requireScope(Scopes.SessionAdmin), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    const history = sessionStates.history(phone);
+    if (history.length === 0 && !sessionStatus.has(phone)) {
+        return res.status(404).json({ status: 'error', message: 'Сесію не знайдено' });
+    }
+    res.json({ phone, state: sessionStatus.get(phone)?.state ?? null, history });
+});
+
+// Актуальний код прив'язки сесії (після перевидачі або повторної ініціалізації по таймауту).
+app.get('/sessions/:phone/pairing-code', apiAuth.requireScope(Scopes.SessionAdmin), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    const pairing = pairingCodes.get(phone);
+    if (!pairing) {
+        return res.status(404).json({ status: 'error', message: 'Активного коду прив\'язки для сесії немає' });
+    }
+    res.json({ status: 'pairing_code', phone, ...pairing });
+});
+
+// Профіль браузера сесії (пароль проксі не повертається).
+app.get('/sessions/:phone/profile', apiAuth.requireScope(Scopes.SessionAdmin), (req, res) => {
+    const phone = normalizePhone(req.params.phone);
+    res.json({ phone, profile: describeBrowserProfile(sessionStore.getProfile(phone)) });
+});
+
+// Зміна профілю: { proxy, userAgent, args, headless, webVersionCache }; null — скинути поле.
+// Застосовується при наступному запуску клієнта сесії.
+app.patch('/sessions/:phone/profile', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        const { profile, error } = validateBrowserProfile(req.body);
+        if (error) {
+            return res.status(400).json({ status: 'error', message: error });
+        }
+        const updated = await sessionStore.updateProfile(phone, profile);
+        logger.log(`Оновлено профіль браузера сесії ${phone}: ${Object.keys(profile).join(', ')}`, LogLevels.Info, 'settings');
+        res.json({ phone, profile: describeBrowserProfile(updated), appliesOn: 'next_start' });
+    } catch (err) {
+        logger.log(`Помилка оновлення профілю для ${req.params.phone}: ${err.message}`, LogLevels.Error, 'settings');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Останній відомий статус (ack) відправленого повідомлення.
+app.get('/message/:messageId/status', apiAuth.requireScope(Scopes.Health, (req) => messageStatusStore.get(req.params.messageId)?.phone), (req, res) => {
+    const record = messageStatusStore.get(req.params.messageId);
+    if (!record) {
+        return res.status(404).json({ status: 'error', message: 'Повідомлення не знайдено' });
+    }
+    res.json(record);
+});
+
+// Доступ за підписаним посиланням (медіа з webhook-а, eventsUrl з /registerwhatsapp) або за API-ключем зі скоупом scope.
+function authorizeSignedRequest(scope) {
+    return (req, res, next) => {
+        if (req.query.signature === undefined) {
+            return apiAuth.requireScope(scope)(req, res, next);
+        }
+        if (!mediaUrlSigner.verify(req.path, req.query)) {
+            apiAuth.logRejection(req, 403, 'недійсне або прострочене підписане посилання');
+            return res.status(403).json({ status: 'error', message: 'Посилання недійсне або прострочене' });
+        }
+        next();
+    };
+}
+
+// Отримане медіа сесії за id повідомлення (з підтримкою Range для відео/аудіо). ?download=1 — як вкладення.
+app.get('/media/:phone/:messageId', authorizeSignedRequest(Scopes.Media), async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        const key = await mediaStorage.find(phone, req.params.messageId);
+        const file = key ? await mediaStorage.open(phone, key) : null;
+        if (!file) {
+            return res.status(404).json({ status: 'error', message: 'Медіа не знайдено' });
+        }
+
+        let range = null;
+        if (req.headers.range) {
+            const ranges = req.range(file.size);
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${file.size}`);
+                return res.status(416).end();
+            }
+            // Кілька діапазонів не підтримуємо — віддаємо файл повністю.
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+                range = { start: ranges[0].start, end: ranges[0].end };
+            }
+        }
+
+        const filename = getOriginalFilename(key, req.params.messageId);
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': contentDisposition(filename, { type: req.query.download ? 'attachment' : 'inline' }),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=300'
+        });
+        if (range) {
+            res.status(206).set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+                'Content-Length': String(range.end - range.start + 1)
+            });
+        } else {
+            res.set('Content-Length', String(file.size));
+        }
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        const stream = await file.createStream(range);
+        stream.on('error', (err) => {
+            logger.log(`Помилка читання медіа ${key} (${phone}): ${err.message}`, LogLevels.Error, 'media');
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        logger.log(`Помилка видачі медіа ${req.params.messageId} для ${req.params.phone}: ${err.message}`, LogLevels.Error, 'media');
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+        }
+    }
+});
+
+// Пошук по добових логах: ?from=&to=(YYYY-MM-DD)&level=&source=&phone=&correlationId=&q=&offset=&limit=.
+// Відповідь — NDJSON (по запису на рядок); якщо є ще результати, останній рядок — { "nextOffset": N }.
+const logSearch = new LogSearch({ directory: logger.logDirectory });
+
+app.get('/logs/search', apiAuth.requireScope(Scopes.Admin), async (req, res) => {
+    const today = path.basename(logger.getLogFilePath(new Date()), '.log');
+    const { filters, error } = parseSearchQuery(req.query, { today });
+    if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+    }
+
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    if (filters.tail) {
+        try {
+            const entries = await logSearch.tail(filters);
+            return res.end(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        } catch (err) {
+            logger.log(`Помилка пошуку по логах: ${err.message}`, LogLevels.Error, 'logs');
+            return res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+        }
+    }
+    let aborted = false;
+    res.on('close', () => {
+        aborted = true;
+    });
+
+    try {
+        for await (const result of logSearch.search(filters)) {
+            if (aborted) {
+                break;
+            }
+            // Поважаємо backpressure: великі вибірки не накопичуються в пам'яті.
+            if (!res.write(`${JSON.stringify(result)}\n`)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+    } catch (err) {
+        logger.log(`Помилка пошуку по логах: ${err.message}`, LogLevels.Error, 'logs');
+        if (!res.headersSent) {
+            return res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+        }
+        res.destroy(err);
+    }
+});
+
+// Метрики у форматі Prometheus.
+app.get('/metrics', apiAuth.requireScope(Scopes.Health), async (req, res) => {
+    try {
+        // Метрики містять мітки session=<номер> усіх сесій — ключу, обмеженому номерами, їх не віддаємо
+        // (так само /whatsapp_health показує такому ключу лише його номери).
+        if (req.apiKey?.phones) {
+            apiAuth.logRejection(req, 403, `ключ ${req.apiKey.name} обмежений номерами і не має доступу до метрик усіх сесій`);
+            return res.status(403).json({ status: 'error', message: 'Метрики доступні лише ключу без обмеження по номерах' });
+        }
+        res.set('Content-Type', serviceMetrics.contentType);
+        res.send(await serviceMetrics.render());
+    } catch (err) {
+        logger.log(`Помилка формування метрик: ${err.message}`, LogLevels.Error, 'metrics');
+        res.status(500).send('');
+    }
+});
+
 // Видалення сесії
-app.delete('/sessiondelete/:phone', async (req, res) => {
+app.delete('/sessiondelete/:phone', apiAuth.requireScope(Scopes.SessionAdmin), async (req, res) => {
     try {
         const phone = normalizePhone(req.params.phone);
         const client = clients.get(phone);
@@ -941,15 +2430,37 @@ app.delete('/sessiondelete/:phone', async (req, res) => {
         if (client) {
             await client.destroy().catch(err => logger.log(`Помилка при закритті сесії ${phone}: ${err.message}`, LogLevels.Error, 'sessiondelete'));
             clients.delete(phone);
-            clearQrTimer(phone);
-            clearRetryTimer(phone);
-            initializingPhones.delete(phone);
-            setSessionHealth(phone, { healthy: false, hasUser: false, state: 'deleted' });
+        }
+        // Клієнта може не бути (чекає запланованого повтору або given_up) — таймер повтору і лічильники все одно скидаємо,
+        // інакше повтор підніме видалену сесію.
+        clearQrTimer(phone);
+        clearRetryTimer(phone);
+        initializingPhones.delete(phone);
+        registrationModes.delete(phone);
+        pairingCodes.delete(phone);
+        retryPolicy.reset(phone);
+        if (client || sessionStatus.has(phone)) {
+            setSessionHealth(phone, { healthy: false, hasUser: false, state: SessionStates.Deleted });
             await pushSessionHealthToServer('deleted');
-            logger.log(`Сесія видалена: ${phone}`, LogLevels.Info, 'session');
         }
+        // Заплановані повідомлення інакше спрацювали б пізніше і потрапили в missed.
+        for (const item of messageScheduler.list(phone, ScheduleStatuses.Scheduled)) {
+            await messageScheduler.cancel(phone, item.id, 'session_deleted');
+        }
+        // Кампанії сесії інакше лишились би running у циклі очікування сесії. Скасування кампанії
+        // саме знімає її повідомлення з черги, тому воно йде перед скасуванням решти черги.
+        for (const campaign of campaignManager.list(phone)) {
+            await campaignManager.cancel(phone, campaign.id);
+        }
+        // Повідомлення видаленої сесії ніколи не будуть відправлені: скасовуємо їх, щоб відправники
+        // отримали фінальний статус (webhook outbound), а не вічне queued.
+        for (const item of [...outboundQueue.list(phone)]) {
+            await outboundQueue.cancel(phone, item.id, 'session_deleted');
+        }
+        logger.log(`Сесія видалена: ${phone}`, LogLevels.Info, 'session');
 
         await removeSessionData(phone);
+        await sessionStore.unregister(phone);
 
         res.json({ status: 'deleted', phone, message: 'Сесія успішно видалена' });
     } catch (err) {
@@ -959,9 +2470,12 @@ app.delete('/sessiondelete/:phone', async (req, res) => {
 });
 
 // Endpoint для перевірки стану сесій (сумісно з index_old.js: [{ phone, status }]).
-app.get('/whatsapp_health', (req, res) => {
+app.get('/whatsapp_health', apiAuth.requireScope(Scopes.Health), (req, res) => {
     try {
-        const result = buildSessionHealthSnapshot().map(({ phone, status }) => ({ phone, status }));
+        // Ключ з обмеженням по номерах бачить лише свої сесії.
+        const result = buildSessionHealthSnapshot()
+            .filter(({ phone }) => apiAuth.canAccessPhone(req.apiKey, phone))
+            .map(({ phone, status }) => ({ phone, status }));
         logger.log(`Запит /whatsapp_health, кількість сесій: ${result.length}`, LogLevels.Info, 'health');
         res.json(result);
     } catch (err) {
@@ -973,16 +2487,110 @@ app.get('/whatsapp_health', (req, res) => {
     }
 });
 
+// Перевірка стану outbox-стору.
+function parseOutboxState(value) {
+    const state = value || OutboxStates.Pending;
+    return Object.values(OutboxStates).includes(state) ? state : null;
+}
+
+// Список webhook-записів, що очікують доставки (state=pending) або в dead-letter (state=dead).
+app.get('/outbox', apiAuth.requireScope(Scopes.Admin), async (req, res) => {
+    try {
+        const state = parseOutboxState(req.query.state);
+        if (!state) {
+            return res.status(400).json({ status: 'error', message: `Невідомий стан: ${req.query.state}` });
+        }
+        const items = await webhookOutbox.list(state);
+        res.json({ state, count: items.length, items });
+    } catch (err) {
+        logger.log(`Помилка в GET /outbox: ${err.message}`, LogLevels.Error, 'outbox');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Повторна доставка: body { state: 'dead' | 'pending', ids?: string[] }.
+app.post('/outbox/replay', apiAuth.requireScope(Scopes.Admin), async (req, res) => {
+    try {
+        const state = parseOutboxState(req.body?.state || OutboxStates.Dead);
+        if (!state) {
+            return res.status(400).json({ status: 'error', message: `Невідомий стан: ${req.body.state}` });
+        }
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+        const replayed = await webhookOutbox.replay(state, ids);
+        res.json({ status: 'ok', state, replayed });
+    } catch (err) {
+        logger.log(`Помилка в POST /outbox/replay: ${err.message}`, LogLevels.Error, 'outbox');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+});
+
+// Видалення записів стану (усіх або одного за id).
+async function purgeOutbox(req, res) {
+    try {
+        const state = parseOutboxState(req.params.state);
+        if (!state) {
+            return res.status(400).json({ status: 'error', message: `Невідомий стан: ${req.params.state}` });
+        }
+        const purged = await webhookOutbox.purge(state, req.params.id ? [req.params.id] : null);
+        if (req.params.id && purged === 0) {
+            return res.status(404).json({ status: 'error', message: 'Запис не знайдено' });
+        }
+        res.json({ status: 'ok', state, purged });
+    } catch (err) {
+        logger.log(`Помилка в DELETE /outbox: ${err.message}`, LogLevels.Error, 'outbox');
+        res.status(500).json({ status: 'error', message: 'Внутрішня помилка сервера' });
+    }
+}
+app.delete('/outbox/:state', apiAuth.requireScope(Scopes.Admin), purgeOutbox);
+app.delete('/outbox/:state/:id', apiAuth.requireScope(Scopes.Admin), purgeOutbox);
+
+// Адмін-панель: статичний інтерфейс поверх HTTP API сервісу (public/admin).
+app.post('/admin/login', async (req, res) => {
+    if (!adminAuth.isEnabled) {
+        return res.status(404).json({ status: 'error', message: 'Адмін-панель вимкнена: задайте ADMIN_USER і ADMIN_PASSWORD' });
+    }
+    const { user, password } = req.body || {};
+    if (!adminAuth.checkCredentials(user, password)) {
+        logger.log(`Невдалий вхід в адмін-панель (користувач ${user}) з ${req.ip}`, LogLevels.Warning, 'auth');
+        // Затримка ускладнює перебір паролів.
+        await delay(1000);
+        return res.status(401).json({ status: 'error', message: 'Невірний логін або пароль' });
+    }
+    const cookie = adminAuth.issueCookie();
+    res.cookie(cookie.name, cookie.value, cookie.options);
+    logger.log(`Вхід в адмін-панель: ${user} з ${req.ip}`, LogLevels.Info, 'auth');
+    res.json({ status: 'ok' });
+});
+
+app.post('/admin/logout', (req, res) => {
+    const { name, options } = adminAuth.issueCookie();
+    res.clearCookie(name, { path: options.path });
+    res.json({ status: 'ok' });
+});
+
+app.use('/admin', adminAuth.requirePage(['/login.html', '/style.css']), express.static(path.join(__dirname, 'public', 'admin')));
+
 // Запуск HTTP-сервера:
 // APP_HOST=0.0.0.0 дозволяє приймати запити з мережі (актуально для CentOS/VPS),
 // APP_HOST=127.0.0.1 залишає доступ лише локально.
 const PORT = Number(process.env.PORT) || 3000;
 const APP_HOST = process.env.APP_HOST || process.env.HOST || '0.0.0.0';
-app.listen(PORT, APP_HOST, async () => {
+let healthPushTimer = null;
+const server = app.listen(PORT, APP_HOST, async () => {
     const displayHost = APP_HOST === '0.0.0.0' ? '<SERVER_IP>' : APP_HOST;
     logger.log(`WhatsApp Multi Session Server запущено: http://${displayHost}:${PORT}`, LogLevels.Info, 'server');
+    // Запускаємо доставку webhook-ів, що лишилися з попереднього запуску.
+    webhookOutbox.start();
+    outboundQueue.start();
+    messageScheduler.start();
+    campaignManager.start();
+    mediaRetention.start();
+    if (sessionAuth.leases) {
+        logger.log(`Спільне сховище сесій, екземпляр ${sessionAuth.instanceId}`, LogLevels.Info, 'sessionLease');
+        sessionAuth.leases.start();
+    }
     // Періодична синхронізація стану сесій на зовнішній сервер (раз на 60 секунд).
-    setInterval(() => {
+    healthPushTimer = setInterval(() => {
         pushSessionHealthToServer('periodic').catch((err) => {
             logger.log(`Помилка periodic health push: ${err.message}`, LogLevels.Warning, 'healthPush');
         });
@@ -992,6 +2600,112 @@ app.listen(PORT, APP_HOST, async () => {
     });
 });
 
+// WebSocket-потік подій (ws://host/ws) на тому ж порту.
+const eventSocketServer = new EventSocketServer({
+    bus: sessionEvents,
+    auth: apiAuth,
+    heartbeatMs: Number(process.env.WS_HEARTBEAT_MS) || 30000
+});
+eventSocketServer.attach(server);
+
+// Коректне завершення (docker stop, systemctl restart, Ctrl+C): без нього Chromium лишається запущеним,
+// рядки з черги логера губляться, а профілі .wwebjs_auth можуть пошкодитись.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+const CLIENT_DESTROY_TIMEOUT_MS = Number(process.env.CLIENT_DESTROY_TIMEOUT_MS) || 10000;
+
+// true — якщо promise завершився до дедлайну.
+function waitWithDeadline(promise, deadlineAt) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), Math.max(deadlineAt - Date.now(), 0));
+    });
+    return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.log(`Повторний ${signal} під час завершення — примусовий вихід`, LogLevels.Warning, 'shutdown');
+        await logger.flush();
+        process.exit(1);
+    }
+    shuttingDown = true;
+    const deadlineAt = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    let clean = true;
+    logger.log(`Отримано ${signal}. Завершую роботу (до ${Math.round(SHUTDOWN_TIMEOUT_MS / 1000)} сек.)`, LogLevels.Important, 'shutdown');
+
+    // 1. Нові HTTP-запити не приймаються; live-потоки закриваються, поточні запити дочікуються.
+    const serverClosed = new Promise(resolve => server.close(resolve));
+    eventSocketServer.close();
+    for (const res of sseStreams) {
+        res.end();
+    }
+    server.closeIdleConnections();
+
+    // 2. Таймери: QR/коди прив'язки, повторні ініціалізації, фонові задачі.
+    clearInterval(healthPushTimer);
+    clearTimeout(registryReconcileTimer);
+    mediaRetention.stop();
+    for (const phone of [...qrTimers.keys()]) {
+        clearQrTimer(phone);
+    }
+    for (const phone of [...retryTimers.keys()]) {
+        clearRetryTimer(phone);
+    }
+
+    // 3. Поточні відправлення і доставка webhook-ів; недоставлене лишається на диску до рестарту.
+    const drained = await waitWithDeadline(Promise.all([
+        campaignManager.drain(),
+        messageScheduler.drain(),
+        outboundQueue.drain(),
+        webhookOutbox.drain(),
+        serverClosed
+    ]), deadlineAt);
+    if (!drained) {
+        clean = false;
+        logger.log('Не всі відправлення/webhook-и/HTTP-запити завершились до дедлайну', LogLevels.Warning, 'shutdown');
+        server.closeAllConnections();
+    }
+
+    // 4. Закриття браузерів: LocalAuth встигає коректно записати профіль.
+    const phones = [...clients.keys()];
+    await Promise.all(phones.map(async (phone) => {
+        const client = clients.get(phone);
+        await waitWithDeadline(sessionAuth.backup(client), deadlineAt).catch((err) => {
+            logger.log(`Не вдалося зберегти профіль ${phone} у спільне сховище: ${err.message}`, LogLevels.Warning, 'shutdown', { phone });
+        });
+        const destroyed = await waitWithDeadline(client.destroy(), Math.min(Date.now() + CLIENT_DESTROY_TIMEOUT_MS, deadlineAt))
+            .catch((err) => {
+                logger.log(`Помилка закриття клієнта ${phone}: ${err.message}`, LogLevels.Error, 'shutdown', { phone });
+                return false;
+            });
+        if (!destroyed) {
+            clean = false;
+            logger.log(`Клієнт ${phone} не закрився вчасно`, LogLevels.Warning, 'shutdown', { phone });
+        }
+        setSessionHealth(phone, { healthy: false, state: SessionStates.Stopped, reason: `shutdown:${signal}` });
+    }));
+    logger.log(`Закрито клієнтів: ${phones.length}`, LogLevels.Info, 'shutdown');
+    // Інші екземпляри можуть одразу перейняти номери, не чекаючи спливу оренд.
+    sessionAuth.leases?.stop();
+    sessionAuth.leases?.releaseAll();
+    await messageStatusStore.flush().catch((err) => {
+        clean = false;
+        logger.log(`Не вдалося зберегти статуси повідомлень: ${err.message}`, LogLevels.Error, 'shutdown');
+    });
+
+    // 5. Останній snapshot стану сесій на зовнішній сервер (кілька секунд навіть після дедлайну).
+    if (!(await waitWithDeadline(pushSessionHealthToServer('shutdown'), Math.max(deadlineAt, Date.now() + 3000)))) {
+        clean = false;
+    }
+
+    logger.log(`Роботу завершено${clean ? '' : ' з помилками'} (${signal})`, clean ? LogLevels.Info : LogLevels.Warning, 'shutdown');
+    await logger.flush();
+    process.exit(clean ? 0 : 1);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Обробка неочікуваних помилок
 process.on('uncaughtException', (err) => {
     logger.log(`Неперехоплена помилка: ${err.message}\nStack: ${err.stack}. Продовжую роботу сервера.`, LogLevels.Error, 'uncaught');
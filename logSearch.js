@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// [2026-05-01 09:00:00] [INFO] Повідомлення ... (Source: send) [correlationId=... phone=...]
+const TEXT_LINE_PATTERN = /^\[([^\]]+)\] \[([A-Z]+)\] (.*) \(Source: ([^)]*)\)(?: \[([^\]]*)\])?$/s;
+
+// Поля контексту з текстового рядка: "correlationId=abc phone=380..." -> { correlationId, phone }.
+function parseTextFields(value) {
+    const fields = {};
+    for (const pair of String(value || '').split(' ')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            fields[pair.slice(0, index)] = pair.slice(index + 1);
+        }
+    }
+    return fields;
+}
+
+// Розбір рядка лога в обох форматах (text та JSON lines). Нерозпізнаний рядок — { raw }.
+function parseLogLine(line) {
+    if (line.startsWith('{')) {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            return { raw: line };
+        }
+    }
+    const match = line.match(TEXT_LINE_PATTERN);
+    if (!match) {
+        return { raw: line };
+    }
+    const [, timestamp, level, message, source, extra] = match;
+    return { ...parseTextFields(extra), timestamp, level, source, message };
+}
+
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// Валідація параметрів пошуку з query. Повертає { filters } або { error }.
+function parseSearchQuery(query = {}, { today, maxDays = 31, maxLimit = 10000 } = {}) {
+    const from = query.from || today;
+    const to = query.to || from;
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+        return { error: 'from/to мають бути датами у форматі YYYY-MM-DD' };
+    }
+    if (from > to) {
+        return { error: 'from має бути не пізніше за to' };
+    }
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= maxDays) {
+        return { error: `Діапазон не може перевищувати ${maxDays} днів` };
+    }
+    const offset = Number(query.offset ?? 0);
+    const limit = Number(query.limit ?? 1000);
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `offset — ціле >= 0, limit — від 1 до ${maxLimit}` };
+    }
+    // tail=N — останні N збігів діапазону замість пагінації з початку.
+    const tail = query.tail === undefined ? null : Number(query.tail);
+    if (tail !== null && (!Number.isInteger(tail) || tail < 1 || tail > maxLimit)) {
+        return { error: `tail — від 1 до ${maxLimit}` };
+    }
+    return {
+        filters: {
+            from,
+            to,
+            levels: toList(query.level).map(level => level.toUpperCase()),
+            sources: toList(query.source),
+            phone: query.phone ? String(query.phone).trim() : null,
+            correlationId: query.correlationId ? String(query.correlationId).trim() : null,
+            text: query.q ? String(query.q).toLowerCase() : null,
+            offset,
+            limit,
+            tail
+        }
+    };
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.levels.length > 0 && !filters.levels.includes(entry.level)) {
+        return false;
+    }
+    if (filters.sources.length > 0 && !filters.sources.includes(entry.source)) {
+        return false;
+    }
+    if (filters.correlationId && entry.correlationId !== filters.correlationId) {
+        return false;
+    }
+    const message = String(entry.message ?? entry.raw ?? '');
+    // Номер шукаємо і в полі phone (новий формат), і в тексті повідомлення (старі записи).
+    if (filters.phone && entry.phone !== filters.phone && !message.includes(filters.phone)) {
+        return false;
+    }
+    if (filters.text && !message.toLowerCase().includes(filters.text)) {
+        return false;
+    }
+    return true;
+}
+
+// Пошук по добових файлах LOG_DIR/YYYY-MM-DD.log. Файли читаються построково, без завантаження в пам'ять.
+class LogSearch {
+    constructor({ directory }) {
+        this.directory = directory;
+    }
+
+    async listFiles(from, to) {
+        const files = await fs.readdir(this.directory).catch(() => []);
+        return files
+            .filter(file => file.endsWith('.log') && DATE_PATTERN.test(file.slice(0, -4)))
+            .filter(file => file.slice(0, -4) >= from && file.slice(0, -4) <= to)
+            .sort();
+    }
+
+    // Асинхронний генератор збігів з урахуванням offset/limit. Кожен результат — { file, line, ...entry }.
+    async *search(filters) {
+        let skipped = 0;
+        let returned = 0;
+        for (const file of await this.listFiles(filters.from, filters.to)) {
+            const stream = fs.createReadStream(path.join(this.directory, file), 'utf8');
+            const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+            let lineNumber = 0;
+            try {
+                for await (const line of lines) {
+                    lineNumber += 1;
+                    if (!line) {
+                        continue;
+                    }
+                    const entry = parseLogLine(line);
+                    if (!matchesFilters(entry, filters)) {
+                        continue;
+                    }
+                    if (skipped < filters.offset) {
+                        skipped += 1;
+                        continue;
+                    }
+                    if (returned >= filters.limit) {
+                        // Є ще результати — повідомляємо про наступну сторінку.
+                        yield { nextOffset: filters.offset + returned };
+                        return;
+                    }
+                    returned += 1;
+                    yield { file, line: lineNumber, ...entry };
+                }
+            } finally {
+                lines.close();
+                stream.destroy();
+            }
+        }
+    }
+
+    // Останні filters.tail збігів (у хронологічному порядку). У пам'яті тримається не більше tail записів.
+    async tail(filters) {
+        const entries = [];
+        for await (const result of this.search({ ...filters, offset: 0, limit: Infinity })) {
+            entries.push(result);
+            if (entries.length > filters.tail) {
+                entries.shift();
+            }
+        }
+        return entries;
+    }
+}
+
+module.exports = { LogSearch, parseLogLine, parseSearchQuery };
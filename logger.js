@@ -1,6 +1,7 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const chalk = require('chalk');
 
 // Перевірка наявності LOG_DIR
@@ -19,9 +20,43 @@ const LogLevels = {
     Important: 'IMPORTANT'
 };
 
+// Порядок рівнів для фільтрації: запис проходить у sink, якщо його рівень не нижчий за мінімальний.
+const LevelSeverity = {
+    [LogLevels.Debug]: 10,
+    [LogLevels.Info]: 20,
+    [LogLevels.Success]: 20,
+    [LogLevels.Important]: 25,
+    [LogLevels.Warning]: 30,
+    [LogLevels.Error]: 40
+};
+
+const LogFormats = {
+    Text: 'text',
+    Json: 'json'
+};
+
+// Мінімальний рівень з оточення (назва рівня в будь-якому регістрі); за замовчуванням — усе.
+function parseMinLevel(value) {
+    const level = String(value || '').trim().toUpperCase();
+    return LevelSeverity[level] !== undefined ? LevelSeverity[level] : LevelSeverity[LogLevels.Debug];
+}
+
+function parseFormat(value) {
+    return String(value || '').trim().toLowerCase() === LogFormats.Json ? LogFormats.Json : LogFormats.Text;
+}
+
+// Контекст запиту (correlationId, phone тощо), що передається через async-виклики.
+const contextStorage = new AsyncLocalStorage();
+
 class Logger {
     constructor() {
-        this.logDirectory = path.join(process.cwd(), process.env.LOG_DIR);
+        this.logDirectory = path.resolve(process.cwd(), process.env.LOG_DIR);
+        // LOG_TIMEZONE — IANA-зона (Europe/Kyiv) або UTC.
+        this.timeZone = process.env.LOG_TIMEZONE || 'Europe/Kiev';
+        this.fileFormat = parseFormat(process.env.LOG_FORMAT);
+        this.consoleFormat = parseFormat(process.env.LOG_CONSOLE_FORMAT || process.env.LOG_FORMAT);
+        this.fileMinLevel = parseMinLevel(process.env.LOG_FILE_LEVEL || process.env.LOG_LEVEL);
+        this.consoleMinLevel = parseMinLevel(process.env.LOG_CONSOLE_LEVEL || process.env.LOG_LEVEL);
         this.logQueue = [];
         this.isProcessing = false;
 
@@ -60,28 +95,111 @@ class Logger {
     //     this.processQueue();
     // }
 
-    log(message, level = LogLevels.Info, source = 'Logger') {
-        const timestamp = new Date().toLocaleString("sv-SE", { timeZone: "Europe/Kiev" });
-        const logEntry = `[${timestamp}] [${level}] ${message} (Source: ${source})`;
-        this.logQueue.push({ timestamp, level, message: logEntry });
+    // context — додаткові поля запису ({ phone, messageId, ... }); поля з контексту запиту додаються автоматично.
+    log(message, level = LogLevels.Info, source = 'Logger', context = {}) {
+        const severity = LevelSeverity[level] ?? LevelSeverity[LogLevels.Info];
+        if (severity < this.consoleMinLevel && severity < this.fileMinLevel) {
+            return;
+        }
+
+        const now = new Date();
+        const timestamp = now.toLocaleString("sv-SE", { timeZone: this.timeZone });
+        const fields = { ...(contextStorage.getStore() || {}), ...context };
+        const entry = { now, timestamp, level, severity, message, source, fields };
+        this.logQueue.push({
+            timestamp,
+            level,
+            severity,
+            text: this.formatText(entry),
+            json: this.formatJson(entry)
+        });
         this.processQueue();
     }
 
+    formatText({ timestamp, level, message, source, fields }) {
+        const extra = Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key}=${value}`)
+            .join(' ');
+        return `[${timestamp}] [${level}] ${message} (Source: ${source})${extra ? ` [${extra}]` : ''}`;
+    }
+
+    formatJson({ now, level, message, source, fields }) {
+        return JSON.stringify({
+            timestamp: this.toIsoWithOffset(now),
+            level,
+            source,
+            message,
+            phone: fields.phone ?? null,
+            messageId: fields.messageId ?? null,
+            correlationId: fields.correlationId ?? null,
+            ...fields
+        });
+    }
+
+    // ISO 8601 з зсувом налаштованої часової зони (2026-05-01T09:00:00.000+03:00; для UTC — Z).
+    toIsoWithOffset(date) {
+        const offsetMinutes = this.getTimeZoneOffsetMinutes(date);
+        if (offsetMinutes === 0) {
+            return date.toISOString();
+        }
+        const shifted = new Date(date.getTime() + offsetMinutes * 60000).toISOString().slice(0, -1);
+        const sign = offsetMinutes > 0 ? '+' : '-';
+        const absolute = Math.abs(offsetMinutes);
+        return `${shifted}${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+    }
+
+    // Зсув налаштованої зони від UTC у хвилинах: настінний час у зоні (formatToParts), прочитаний як UTC, мінус сам момент.
+    // Часова зона хоста не впливає на результат.
+    getTimeZoneOffsetMinutes(date) {
+        if (this.offsetFormatterZone !== this.timeZone) {
+            this.offsetFormatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+            this.offsetFormatterZone = this.timeZone;
+        }
+        const parts = Object.fromEntries(this.offsetFormatter.formatToParts(date).map(part => [part.type, part.value]));
+        const wallClockAsUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+        return Math.round((wallClockAsUtc - (date.getTime() - date.getMilliseconds())) / 60000);
+    }
+
+    // Виконання fn з контекстом (correlationId, phone, ...) для всіх логів усередині, включно з async-викликами.
+    runWithContext(context, fn) {
+        return contextStorage.run({ ...(contextStorage.getStore() || {}), ...context }, fn);
+    }
+
+    getContext() {
+        return contextStorage.getStore() || {};
+    }
+
     async processQueue() {
         if (this.isProcessing) return;
         this.isProcessing = true;
 
         while (this.logQueue.length > 0) {
-            const { timestamp, level, message } = this.logQueue.shift();
-            //if(level === LogLevels.Error) {
-                this.printToConsole(level, message);
-           // }
-            await this.logToFile(timestamp, level, message);
+            const { timestamp, level, severity, text, json } = this.logQueue.shift();
+            if (severity >= this.consoleMinLevel) {
+                this.printToConsole(level, this.consoleFormat === LogFormats.Json ? json : text);
+            }
+            if (severity >= this.fileMinLevel) {
+                await this.logToFile(timestamp, level, this.fileFormat === LogFormats.Json ? json : text);
+            }
         }
 
         this.isProcessing = false;
     }
 
+    // Очікування запису всіх рядків з черги (перед завершенням процесу).
+    async flush() {
+        while (this.logQueue.length > 0 || this.isProcessing) {
+            this.processQueue();
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
     printToConsole(level, message) {
         switch (level) {
             case LogLevels.Warning:
@@ -122,15 +240,16 @@ class Logger {
         }
     }
 
+    // Файл на добу в часовій зоні логера (timestamp — рядок "YYYY-MM-DD HH:mm:ss" або Date).
     getLogFilePath(timestamp) {
-        const date = new Date(timestamp).toISOString().split('T')[0];
-        return path.join(this.logDirectory, `${date}.log`);
+        const value = timestamp instanceof Date ? timestamp.toLocaleString("sv-SE", { timeZone: this.timeZone }) : String(timestamp);
+        return path.join(this.logDirectory, `${value.slice(0, 10)}.log`);
     }
 
     getLocalTime() {
-        return new Date().toLocaleString("uk-UA", { timeZone: "Europe/Kiev" });
+        return new Date().toLocaleString("uk-UA", { timeZone: this.timeZone });
     }
 }
 
 // Експорт логера та LogLevels
-module.exports = { Logger: new Logger(), LogLevels };
\ No newline at end of file
+module.exports = { Logger: new Logger(), LogLevels, LogFormats };
\ No newline at end of file
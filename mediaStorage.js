@@ -0,0 +1,302 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mime = require('mime-types');
+const { Logger: logger, LogLevels } = require('./logger');
+const { sanitizeFilename } = require('./outboundMedia');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Каталог/префікс сесії — той самий формат, що й раніше: whatsapp_<phone>/files.
+function getSessionFolder(phone) {
+    return `whatsapp_${String(phone).replace(/[^a-zA-Z0-9_-]/g, '')}`;
+}
+
+function sanitizeMessageId(messageId) {
+    return String(messageId).replace(/[^a-zA-Z0-9_-]/g, '');
+}
+
+// Ім'я файлу без колізій: id повідомлення + очищене оригінальне ім'я.
+function buildMediaFilename(messageId, originalName, fallbackExtension = 'bin') {
+    const safeId = sanitizeMessageId(messageId);
+    const safeName = originalName ? sanitizeFilename(originalName, '') : '';
+    return safeName ? `${safeId}_${safeName}` : `${safeId}.${fallbackExtension}`;
+}
+
+// Оригінальне (очищене) ім'я файлу з ключа сховища.
+function getOriginalFilename(key, messageId) {
+    const safeId = sanitizeMessageId(messageId);
+    return key.startsWith(`${safeId}_`) ? key.slice(safeId.length + 1) : key;
+}
+
+// Файл повідомлення серед файлів сесії: <messageId>_<name> або <messageId>.<ext>.
+function matchMessageKey(keys, messageId) {
+    const safeId = sanitizeMessageId(messageId);
+    return safeId ? keys.find(key => key.startsWith(`${safeId}_`) || key.startsWith(`${safeId}.`)) || null : null;
+}
+
+// Локальний диск: <rootDir>/whatsapp_<phone>/files/<messageId>_<name>.
+class LocalMediaStorage {
+    constructor({ rootDir }) {
+        this.type = 'local';
+        this.rootDir = rootDir;
+    }
+
+    getFilesDirectory(phone) {
+        return path.join(this.rootDir, getSessionFolder(phone), 'files');
+    }
+
+    // Повертає { key, location, size }; location — абсолютний шлях (як і раніше в webhook).
+    async save({ phone, filename, data }) {
+        const directory = this.getFilesDirectory(phone);
+        await fs.ensureDir(directory);
+        const filePath = path.join(directory, filename);
+        await fs.writeFile(filePath, data);
+        return { key: filename, location: filePath, size: data.length };
+    }
+
+    // Сесії, для яких є збережені файли.
+    async listPhones() {
+        const entries = await fs.readdir(this.rootDir).catch(() => []);
+        return entries.filter(entry => entry.startsWith('whatsapp_')).map(entry => entry.slice('whatsapp_'.length));
+    }
+
+    // [{ key, size, modifiedAt }]
+    async list(phone) {
+        const directory = this.getFilesDirectory(phone);
+        const files = await fs.readdir(directory).catch(() => []);
+        const items = [];
+        for (const file of files) {
+            const stat = await fs.stat(path.join(directory, file)).catch(() => null);
+            if (stat?.isFile()) {
+                items.push({ key: file, size: stat.size, modifiedAt: stat.mtimeMs });
+            }
+        }
+        return items;
+    }
+
+    async find(phone, messageId) {
+        const files = await fs.readdir(this.getFilesDirectory(phone)).catch(() => []);
+        return matchMessageKey(files, messageId);
+    }
+
+    // Метадані файлу і createStream(range) — потік (опційно діапазон { start, end } включно). null — файлу немає.
+    async open(phone, key) {
+        const filePath = path.join(this.getFilesDirectory(phone), path.basename(key));
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat?.isFile()) {
+            return null;
+        }
+        return {
+            size: stat.size,
+            contentType: mime.lookup(key) || 'application/octet-stream',
+            createStream: async range => fs.createReadStream(filePath, range || {})
+        };
+    }
+
+    async remove(phone, keys) {
+        const directory = this.getFilesDirectory(phone);
+        for (const key of keys) {
+            await fs.remove(path.join(directory, path.basename(key)));
+        }
+    }
+}
+
+// S3-сумісне сховище (AWS S3, MinIO): s3://<bucket>/<prefix>whatsapp_<phone>/files/<messageId>_<name>.
+class S3MediaStorage {
+    constructor({ bucket, prefix = '', client }) {
+        this.type = 's3';
+        this.bucket = bucket;
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+        this.client = client;
+        // SDK завантажується лише для S3-бекенду.
+        this.commands = require('@aws-sdk/client-s3');
+    }
+
+    static fromEnv() {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        if (!process.env.S3_BUCKET) {
+            throw new Error('MEDIA_STORAGE=s3 потребує S3_BUCKET');
+        }
+        const client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            // MinIO та більшість self-hosted сховищ працюють лише з path-style адресами.
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID
+                ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+                : undefined
+        });
+        return new S3MediaStorage({ bucket: process.env.S3_BUCKET, prefix: process.env.S3_PREFIX || '', client });
+    }
+
+    getSessionPrefix(phone) {
+        return `${this.prefix}${getSessionFolder(phone)}/files/`;
+    }
+
+    async save({ phone, filename, mimetype, data }) {
+        const key = `${this.getSessionPrefix(phone)}${filename}`;
+        await this.client.send(new this.commands.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: data,
+            ContentType: mimetype
+        }));
+        return { key: filename, location: `s3://${this.bucket}/${key}`, size: data.length };
+    }
+
+    async listPhones() {
+        const phones = [];
+        let token;
+        do {
+            const page = await this.client.send(new this.commands.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: `${this.prefix}whatsapp_`,
+                Delimiter: '/',
+                ContinuationToken: token
+            }));
+            for (const { Prefix } of page.CommonPrefixes || []) {
+                phones.push(Prefix.slice(`${this.prefix}whatsapp_`.length, -1));
+            }
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return phones;
+    }
+
+    async list(phone) {
+        const prefix = this.getSessionPrefix(phone);
+        const items = [];
+        let token;
+        do {
+            const page = await this.client.send(new this.commands.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                ContinuationToken: token
+            }));
+            for (const object of page.Contents || []) {
+                items.push({ key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: new Date(object.LastModified).getTime() });
+            }
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return items;
+    }
+
+    async find(phone, messageId) {
+        const safeId = sanitizeMessageId(messageId);
+        if (!safeId) {
+            return null;
+        }
+        const prefix = this.getSessionPrefix(phone);
+        const page = await this.client.send(new this.commands.ListObjectsV2Command({ Bucket: this.bucket, Prefix: `${prefix}${safeId}` }));
+        return matchMessageKey((page.Contents || []).map(object => object.Key.slice(prefix.length)), messageId);
+    }
+
+    async open(phone, key) {
+        const objectKey = `${this.getSessionPrefix(phone)}${key}`;
+        let head;
+        try {
+            head = await this.client.send(new this.commands.HeadObjectCommand({ Bucket: this.bucket, Key: objectKey }));
+        } catch (err) {
+            if (err.name === 'NotFound' || err.name === 'NoSuchKey') {
+                return null;
+            }
+            throw err;
+        }
+        return {
+            size: head.ContentLength,
+            contentType: head.ContentType || mime.lookup(key) || 'application/octet-stream',
+            createStream: async (range) => {
+                const object = await this.client.send(new this.commands.GetObjectCommand({
+                    Bucket: this.bucket,
+                    Key: objectKey,
+                    Range: range ? `bytes=${range.start}-${range.end}` : undefined
+                }));
+                return object.Body;
+            }
+        };
+    }
+
+    async remove(phone, keys) {
+        const prefix = this.getSessionPrefix(phone);
+        // DeleteObjects приймає до 1000 ключів за запит.
+        for (let i = 0; i < keys.length; i += 1000) {
+            await this.client.send(new this.commands.DeleteObjectsCommand({
+                Bucket: this.bucket,
+                Delete: { Objects: keys.slice(i, i + 1000).map(key => ({ Key: `${prefix}${key}` })), Quiet: true }
+            }));
+        }
+    }
+}
+
+// Бекенд за MEDIA_STORAGE: local (за замовчуванням) або s3.
+function createMediaStorage(baseDir) {
+    const type = (process.env.MEDIA_STORAGE || 'local').toLowerCase();
+    if (type === 's3') {
+        return S3MediaStorage.fromEnv();
+    }
+    if (type !== 'local') {
+        throw new Error(`Невідомий MEDIA_STORAGE: ${type}`);
+    }
+    return new LocalMediaStorage({ rootDir: path.resolve(baseDir, process.env.MEDIA_LOCAL_DIR || '.') });
+}
+
+// Періодичне видалення старих медіа по сесіях. getRetentionDays(phone) — строк для сесії
+// (налаштування сесії або MEDIA_RETENTION_DAYS); 0 — зберігати без обмежень.
+class MediaRetention {
+    constructor({ storage, getRetentionDays, intervalMs = 60 * 60 * 1000 }) {
+        this.storage = storage;
+        this.getRetentionDays = getRetentionDays;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.purgeAll(), this.intervalMs);
+        this.purgeAll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async purgeAll() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        try {
+            for (const phone of await this.storage.listPhones()) {
+                await this.purgeSession(phone);
+            }
+        } catch (err) {
+            logger.log(`Помилка очищення медіа: ${err.message}`, LogLevels.Error, 'mediaRetention');
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Повертає { removed, bytes } для сесії.
+    async purgeSession(phone, now = Date.now()) {
+        const retentionDays = Number(this.getRetentionDays(phone)) || 0;
+        if (retentionDays <= 0) {
+            return { removed: 0, bytes: 0 };
+        }
+        const cutoff = now - retentionDays * DAY_MS;
+        const expired = (await this.storage.list(phone)).filter(item => item.modifiedAt < cutoff);
+        if (expired.length === 0) {
+            return { removed: 0, bytes: 0 };
+        }
+
+        await this.storage.remove(phone, expired.map(item => item.key));
+        const bytes = expired.reduce((sum, item) => sum + item.size, 0);
+        logger.log(`Видалено ${expired.length} медіафайлів сесії ${phone} старших за ${retentionDays} дн. (${(bytes / 1024 / 1024).toFixed(2)} МБ)`, LogLevels.Info, 'mediaRetention');
+        return { removed: expired.length, bytes };
+    }
+}
+
+module.exports = { LocalMediaStorage, S3MediaStorage, MediaRetention, createMediaStorage, buildMediaFilename, getOriginalFilename, getSessionFolder };
@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Відповідність кодів ack з whatsapp-web.js (MessageAck) статусам для CRM.
+const AckStatuses = {
+    '-1': 'error',
+    '0': 'pending',
+    '1': 'sent',
+    '2': 'delivered',
+    '3': 'read',
+    '4': 'played'
+};
+
+function ackToStatus(ack) {
+    return AckStatuses[String(ack)] || 'unknown';
+}
+
+// Сховище відправлених повідомлень: messageId -> bitrixMessageId та останній ack.
+// Зберігається в JSON-файлі, обмежене за кількістю записів і віком.
+class MessageStatusStore {
+    constructor({ filePath, maxEntries = 20000, ttlMs = 7 * 24 * 60 * 60 * 1000, saveDelayMs = 1000, earlyAckTtlMs = 30000, maxEarlyAcks = 1000 }) {
+        this.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.saveDelayMs = saveDelayMs;
+        this.earlyAckTtlMs = earlyAckTtlMs;
+        this.maxEarlyAcks = maxEarlyAcks;
+        this.records = new Map();
+        // messageId -> { ack, receivedAt }: ack-и, що прийшли раніше, ніж sendMessage повернув id (лише в пам'яті).
+        this.earlyAcks = new Map();
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            for (const record of fs.readJsonSync(this.filePath)) {
+                this.records.set(record.messageId, record);
+            }
+            this.prune();
+        } catch (err) {
+            logger.log(`Не вдалося прочитати сховище статусів повідомлень: ${err.message}`, LogLevels.Error, 'messageTracker');
+        }
+    }
+
+    // Видалення застарілих записів і обмеження розміру (Map зберігає порядок вставки — найстаріші першими).
+    prune() {
+        const minTime = Date.now() - this.ttlMs;
+        for (const [messageId, record] of this.records) {
+            if (record.createdAt < minTime) {
+                this.records.delete(messageId);
+            }
+        }
+        while (this.records.size > this.maxEntries) {
+            this.records.delete(this.records.keys().next().value);
+        }
+    }
+
+    // Відкладене збереження, щоб серія ack-ів не переписувала файл на кожну подію.
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush().catch((err) => {
+                logger.log(`Не вдалося зберегти статуси повідомлень: ${err.message}`, LogLevels.Error, 'messageTracker');
+            });
+        }, this.saveDelayMs);
+    }
+
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeJson(tmpPath, [...this.records.values()]);
+        await fs.move(tmpPath, this.filePath, { overwrite: true });
+    }
+
+    track({ messageId, bitrixMessageId = null, phone, to, ack = 0 }) {
+        const now = Date.now();
+        const record = {
+            messageId,
+            bitrixMessageId,
+            phone,
+            to,
+            ack,
+            status: ackToStatus(ack),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.records.set(messageId, record);
+        this.prune();
+        this.scheduleSave();
+
+        // Ack, що випередив track(), застосовуємо одразу: інакше статус лишився б pending до наступного ack.
+        const early = this.earlyAcks.get(messageId);
+        if (early) {
+            this.earlyAcks.delete(messageId);
+            this.applyAck(messageId, early.ack);
+        }
+        return record;
+    }
+
+    // Ack для ще невідомого повідомлення тримаємо earlyAckTtlMs; ack-и чужих повідомлень (відправлених
+    // не через сервіс) так само потрапляють сюди і просто спливають.
+    bufferEarlyAck(messageId, ack) {
+        const now = Date.now();
+        for (const [id, early] of this.earlyAcks) {
+            if (now - early.receivedAt < this.earlyAckTtlMs && this.earlyAcks.size < this.maxEarlyAcks) {
+                break;
+            }
+            this.earlyAcks.delete(id);
+        }
+        const existing = this.earlyAcks.get(messageId);
+        if (!existing || ack === -1 || (existing.ack !== -1 && ack > existing.ack)) {
+            this.earlyAcks.set(messageId, { ack, receivedAt: existing?.receivedAt ?? now });
+        }
+    }
+
+    get(messageId) {
+        return this.records.get(messageId) || null;
+    }
+
+    // Оновлення ack. ack-и можуть приходити не по порядку, тому статус лише "росте";
+    // виняток — error, який фіксується завжди. Повертає null, якщо оновлювати нічого
+    // (зокрема, якщо повідомлення ще не відстежується — тоді ack буферизується до track()).
+    applyAck(messageId, ack) {
+        const record = this.records.get(messageId);
+        if (!record) {
+            if (messageId) {
+                this.bufferEarlyAck(messageId, ack);
+            }
+            return null;
+        }
+        if (ack !== -1 && ack <= record.ack) {
+            return null;
+        }
+
+        record.ack = ack;
+        record.status = ackToStatus(ack);
+        record.updatedAt = Date.now();
+        this.scheduleSave();
+        return record;
+    }
+}
+
+module.exports = { MessageStatusStore, ackToStatus };
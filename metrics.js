@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const client = require('prom-client');
+
+// Шлях без query: мітка endpoint не повинна залежати від параметрів запиту.
+function getEndpointLabel(url) {
+    try {
+        return new URL(url).pathname;
+    } catch (err) {
+        return 'invalid';
+    }
+}
+
+// Причина повторної ініціалізації без деталей помилки ("initializeClient: ..." -> "initializeClient").
+function getReasonLabel(reason) {
+    return String(reason || 'unknown').split(':')[0].trim() || 'unknown';
+}
+
+// Дерево процесів (ppid -> [pid]) з /proc. Будується один раз на scrape і спільне для всіх сесій.
+async function readProcessTree() {
+    const children = new Map();
+    for (const entry of await fs.readdir('/proc').catch(() => [])) {
+        if (!/^\d+$/.test(entry)) {
+            continue;
+        }
+        const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8').catch(() => null);
+        // Поле comm у дужках може містити пробіли — ppid шукаємо після останньої ")".
+        const ppid = stat ? Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]) : null;
+        if (ppid) {
+            if (!children.has(ppid)) {
+                children.set(ppid, []);
+            }
+            children.get(ppid).push(Number(entry));
+        }
+    }
+    return children;
+}
+
+// VmRSS з /proc/<pid>/status (у кБ) — не залежить від розміру сторінки (4 КБ на x86, 16/64 КБ на частині ARM).
+async function readProcessRss(pid) {
+    const status = await fs.readFile(`/proc/${pid}/status`, 'utf8').catch(() => null);
+    const match = status && status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    return match ? Number(match[1]) * 1024 : 0;
+}
+
+// Сумарний RSS процесу та всіх його нащадків (Chromium запускає renderer/GPU як дочірні процеси).
+// children — результат readProcessTree() (без нього дерево читається заново).
+// Працює лише на Linux (/proc); на інших ОС повертає null.
+async function getProcessTreeRss(rootPid, children = null) {
+    if (!rootPid || process.platform !== 'linux') {
+        return null;
+    }
+    const tree = children || await readProcessTree();
+
+    let total = 0;
+    const pending = [rootPid];
+    while (pending.length > 0) {
+        const pid = pending.pop();
+        total += await readProcessRss(pid);
+        pending.push(...(tree.get(pid) || []));
+    }
+    return total;
+}
+
+// Метрики сервісу у форматі Prometheus (GET /metrics).
+// getSessions() -> [{ phone, state, healthy }], getBrowserPids() -> Map(phone -> pid Chromium).
+class ServiceMetrics {
+    constructor({ getSessions, getBrowserPids }) {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.sessions = new client.Gauge({
+            name: 'whatsapp_sessions',
+            help: 'Кількість сесій за станом',
+            labelNames: ['state'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const session of getSessions()) {
+                    this.inc({ state: session.state });
+                }
+            }
+        });
+
+        this.sessionHealthy = new client.Gauge({
+            name: 'whatsapp_session_healthy',
+            help: 'Сесія підключена і працює (1) або ні (0)',
+            labelNames: ['session', 'state'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const session of getSessions()) {
+                    this.set({ session: session.phone, state: session.state }, session.healthy ? 1 : 0);
+                }
+            }
+        });
+
+        this.inboundMessages = new client.Counter({
+            name: 'whatsapp_inbound_messages_total',
+            help: 'Вхідні повідомлення за типом',
+            labelNames: ['session', 'type'],
+            registers: [this.registry]
+        });
+
+        this.outboundMessages = new client.Counter({
+            name: 'whatsapp_outbound_messages_total',
+            help: 'Вихідні повідомлення за типом і фінальним статусом',
+            labelNames: ['session', 'type', 'status'],
+            registers: [this.registry]
+        });
+
+        this.crmRequestDuration = new client.Histogram({
+            name: 'whatsapp_crm_request_duration_seconds',
+            help: 'Тривалість викликів у CRM (webhook-и, реєстрація, health)',
+            labelNames: ['endpoint', 'status'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+            registers: [this.registry]
+        });
+
+        this.crmRequestFailures = new client.Counter({
+            name: 'whatsapp_crm_request_failures_total',
+            help: 'Невдалі виклики в CRM (HTTP не 2xx або мережева помилка)',
+            labelNames: ['endpoint', 'reason'],
+            registers: [this.registry]
+        });
+
+        this.qrTimeouts = new client.Counter({
+            name: 'whatsapp_qr_timeouts_total',
+            help: 'QR-коди, які не було відскановано вчасно',
+            labelNames: ['session'],
+            registers: [this.registry]
+        });
+
+        this.pairingCodeTimeouts = new client.Counter({
+            name: 'whatsapp_pairing_code_timeouts_total',
+            help: 'Коди прив\'язки, які не було введено вчасно',
+            labelNames: ['session'],
+            registers: [this.registry]
+        });
+
+        this.sessionRetries = new client.Counter({
+            name: 'whatsapp_session_retries_total',
+            help: 'Заплановані повторні ініціалізації сесій',
+            labelNames: ['session', 'reason'],
+            registers: [this.registry]
+        });
+
+        this.sessionsGivenUp = new client.Counter({
+            name: 'whatsapp_sessions_given_up_total',
+            help: 'Сесії, для яких повторні ініціалізації припинено після вичерпання ліміту спроб',
+            labelNames: ['session', 'reason'],
+            registers: [this.registry]
+        });
+
+        this.chromiumMemory = new client.Gauge({
+            name: 'whatsapp_chromium_memory_bytes',
+            help: 'RSS процесів Chromium сесії (Linux)',
+            labelNames: ['session'],
+            registers: [this.registry],
+            async collect() {
+                this.reset();
+                const browserPids = getBrowserPids();
+                if (browserPids.size === 0 || process.platform !== 'linux') {
+                    return;
+                }
+                const children = await readProcessTree();
+                for (const [phone, pid] of browserPids) {
+                    const rss = await getProcessTreeRss(pid, children);
+                    if (rss !== null) {
+                        this.set({ session: phone }, rss);
+                    }
+                }
+            }
+        });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    render() {
+        return this.registry.metrics();
+    }
+
+    // Обгортка для fetch у CRM: фіксує тривалість і помилки виклику.
+    async observeCrmRequest(url, request) {
+        const endpoint = getEndpointLabel(url);
+        const endTimer = this.crmRequestDuration.startTimer({ endpoint });
+        try {
+            const response = await request();
+            endTimer({ status: String(response.status) });
+            if (!response.ok) {
+                this.crmRequestFailures.inc({ endpoint, reason: `http_${response.status}` });
+            }
+            return response;
+        } catch (err) {
+            endTimer({ status: 'error' });
+            this.crmRequestFailures.inc({ endpoint, reason: err.type || err.code || 'network' });
+            throw err;
+        }
+    }
+
+    recordRetry(phone, reason) {
+        this.sessionRetries.inc({ session: phone, reason: getReasonLabel(reason) });
+    }
+}
+
+module.exports = { ServiceMetrics, getProcessTreeRss, readProcessTree };
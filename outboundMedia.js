@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const mime = require('mime-types');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Помилка вхідних медіа з HTTP-статусом для відповіді API.
+class MediaInputError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// Список зі змінної оточення: значення через кому.
+function parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Код помилки lookup для заблокованої адреси (node-fetch переносить його в FetchError.code).
+const BLOCKED_ADDRESS_CODE = 'EMEDIAURLBLOCKED';
+
+// Максимум переходів за редиректами mediaUrl; кожен перевіряється окремо.
+const MAX_MEDIA_REDIRECTS = 3;
+
+// Адреси, куди mediaUrl не може вести: loopback, приватні мережі, link-local (метадані хмари 169.254.169.254) тощо.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+// ::ffff:0:0/96 — IPv4, відображені в IPv6 (::ffff:127.0.0.1): у mediaUrl їм нема законного застосування.
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS-резолвінг для з'єднань mediaUrl: адреса перевіряється в момент підключення (захист від DNS rebinding).
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            return callback(err);
+        }
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            const error = new Error(`${hostname} резолвиться у внутрішню адресу ${blocked.address}`);
+            error.code = BLOCKED_ADDRESS_CODE;
+            return callback(error);
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const guardedAgents = {
+    'http:': new http.Agent({ lookup: guardedLookup }),
+    'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+// Безпечне ім'я файлу: без шляху і службових символів.
+function sanitizeFilename(filename, fallback = 'file') {
+    const base = path.basename(String(filename || '')).replace(/[^\p{L}\p{N}._ -]/gu, '_').replace(/^\.+/, '').trim();
+    return (base || fallback).slice(0, 150);
+}
+
+// Медіа для вихідних повідомлень з різних джерел: завантаження (multipart), base64, URL
+// або filePath у дозволених каталогах. Отримані сервісом файли зберігаються в directory
+// до відправлення (owned: true) і видаляються через release().
+class OutboundMediaStore {
+    constructor({ directory, allowedDirs = [], maxBytes = 64 * 1024 * 1024, allowedTypes = [], allowedUrlHosts = [], downloadTimeoutMs = 30000 }) {
+        this.directory = directory;
+        this.uploadDirectory = path.join(directory, 'upload');
+        this.allowedDirs = allowedDirs.map(dir => path.resolve(dir));
+        this.maxBytes = maxBytes;
+        this.allowedTypes = allowedTypes;
+        this.allowedUrlHosts = allowedUrlHosts;
+        this.downloadTimeoutMs = downloadTimeoutMs;
+        fs.ensureDirSync(this.uploadDirectory);
+    }
+
+    static fromEnv(directory) {
+        return new OutboundMediaStore({
+            directory,
+            allowedDirs: parseList(process.env.MEDIA_ALLOWED_DIRS),
+            maxBytes: (Number(process.env.MEDIA_MAX_MB) || 64) * 1024 * 1024,
+            allowedTypes: parseList(process.env.MEDIA_ALLOWED_TYPES || 'image/,video/,audio/,application/,text/'),
+            allowedUrlHosts: parseList(process.env.MEDIA_URL_ALLOWED_HOSTS),
+            downloadTimeoutMs: Number(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS) || 30000
+        });
+    }
+
+    // Тип дозволений, якщо збігається повністю ("application/pdf") або за префіксом ("image/").
+    assertTypeAllowed(mimetype) {
+        const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+        const allowed = this.allowedTypes.length === 0
+            || this.allowedTypes.some(rule => (rule.endsWith('/') ? type.startsWith(rule) : type === rule));
+        if (!type || !allowed) {
+            throw new MediaInputError(415, `Тип файлу не дозволений: ${type || 'невідомий'}`);
+        }
+        return type;
+    }
+
+    assertSizeAllowed(size) {
+        if (size > this.maxBytes) {
+            throw new MediaInputError(413, `Файл завеликий: ${(size / 1024 / 1024).toFixed(2)} МБ (максимум ${(this.maxBytes / 1024 / 1024).toFixed(0)} МБ)`);
+        }
+    }
+
+    buildStoredPath(filename) {
+        return path.join(this.directory, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${filename}`);
+    }
+
+    async saveBuffer(buffer, mimetype, filename) {
+        this.assertSizeAllowed(buffer.length);
+        const type = this.assertTypeAllowed(mimetype);
+        const safeName = sanitizeFilename(filename, `file.${mime.extension(type) || 'bin'}`);
+        const filePath = this.buildStoredPath(safeName);
+        await fs.writeFile(filePath, buffer);
+        return { filePath, filename: safeName, mimetype: type, owned: true };
+    }
+
+    // Файл з multipart/form-data (multer вже записав його в uploadDirectory).
+    async fromUpload(file) {
+        try {
+            const type = this.assertTypeAllowed(file.mimetype);
+            const safeName = sanitizeFilename(file.originalname, `file.${mime.extension(type) || 'bin'}`);
+            const filePath = this.buildStoredPath(safeName);
+            await fs.move(file.path, filePath);
+            return { filePath, filename: safeName, mimetype: type, owned: true };
+        } catch (err) {
+            await fs.remove(file.path).catch(() => {});
+            throw err;
+        }
+    }
+
+    // { data: base64 або data URL, mimetype?, filename? }.
+    async fromBase64({ data, mimetype, filename } = {}) {
+        if (!data || typeof data !== 'string') {
+            throw new MediaInputError(400, 'media.data має містити base64-рядок');
+        }
+        const dataUrl = data.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s);
+        const base64 = dataUrl ? dataUrl[2] : data;
+        const type = mimetype || dataUrl?.[1] || mime.lookup(filename || '') || '';
+        this.assertSizeAllowed(Math.floor(base64.length * 3 / 4));
+        return this.saveBuffer(Buffer.from(base64, 'base64'), type, filename);
+    }
+
+    // Перевірка адреси mediaUrl (і кожного редиректу): протокол, MEDIA_URL_ALLOWED_HOSTS, IP-літерал не внутрішній.
+    assertUrlAllowed(url) {
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new MediaInputError(400, 'mediaUrl має бути http(s)');
+        }
+        if (this.allowedUrlHosts.length > 0 && !this.allowedUrlHosts.includes(url.hostname)) {
+            throw new MediaInputError(403, `Хост ${url.hostname} не входить до MEDIA_URL_ALLOWED_HOSTS`);
+        }
+        // Для IP-літералів DNS-lookup агента не викликається.
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isBlockedAddress(host)) {
+            throw new MediaInputError(403, `mediaUrl веде на внутрішню адресу ${host}`);
+        }
+    }
+
+    // Редиректи обробляються вручну, щоб кожен перехід пройшов ті самі перевірки.
+    async fetchWithChecks(url) {
+        for (let hop = 0; ; hop++) {
+            this.assertUrlAllowed(url);
+            let response;
+            try {
+                response = await fetch(url.toString(), {
+                    size: this.maxBytes,
+                    timeout: this.downloadTimeoutMs,
+                    redirect: 'manual',
+                    agent: guardedAgents[url.protocol]
+                });
+            } catch (err) {
+                if (err.code === BLOCKED_ADDRESS_CODE) {
+                    throw new MediaInputError(403, `mediaUrl веде на внутрішню адресу (${url.hostname})`);
+                }
+                throw new MediaInputError(502, `Не вдалося завантажити mediaUrl: ${err.message}`);
+            }
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return { response, url };
+            }
+            if (hop >= MAX_MEDIA_REDIRECTS) {
+                throw new MediaInputError(502, `Забагато редиректів для mediaUrl (більше ${MAX_MEDIA_REDIRECTS})`);
+            }
+            try {
+                url = new URL(location, url);
+            } catch (err) {
+                throw new MediaInputError(502, `Некоректний редирект mediaUrl: ${location}`);
+            }
+        }
+    }
+
+    // Завантаження за URL з обмеженням протоколу, хоста (опційно), адреси, розміру, часу та типу.
+    async fromUrl(mediaUrl, filename = null) {
+        let requestedUrl;
+        try {
+            requestedUrl = new URL(mediaUrl);
+        } catch (err) {
+            throw new MediaInputError(400, `Некоректний mediaUrl: ${mediaUrl}`);
+        }
+
+        const { response, url } = await this.fetchWithChecks(requestedUrl);
+        if (!response.ok) {
+            throw new MediaInputError(502, `Не вдалося завантажити mediaUrl: HTTP ${response.status}`);
+        }
+        const declaredSize = Number(response.headers.get('content-length'));
+        if (declaredSize) {
+            this.assertSizeAllowed(declaredSize);
+        }
+        const type = this.assertTypeAllowed(response.headers.get('content-type') || mime.lookup(url.pathname) || '');
+
+        let buffer;
+        try {
+            buffer = await response.buffer();
+        } catch (err) {
+            // node-fetch кидає max-size, якщо сервер віддав більше, ніж size.
+            if (err.type === 'max-size') {
+                throw new MediaInputError(413, `Файл за mediaUrl більший за ${(this.maxBytes / 1024 / 1024).toFixed(0)} МБ`);
+            }
+            throw new MediaInputError(502, `Не вдалося завантажити mediaUrl: ${err.message}`);
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const dispositionName = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)?.[1];
+        const name = filename || (dispositionName && decodeURIComponent(dispositionName)) || path.basename(url.pathname);
+        return this.saveBuffer(buffer, type, name);
+    }
+
+    // filePath дозволений лише всередині MEDIA_ALLOWED_DIRS (після розкриття symlink-ів).
+    async fromLocalPath(filePath, mimetype = null) {
+        if (this.allowedDirs.length === 0) {
+            throw new MediaInputError(403, 'filePath вимкнено: MEDIA_ALLOWED_DIRS не налаштовано');
+        }
+        let realPath;
+        try {
+            realPath = await fs.realpath(path.resolve(filePath));
+        } catch (err) {
+            throw new MediaInputError(400, `Файл не знайдено: ${filePath}`);
+        }
+        const allowed = await Promise.all(this.allowedDirs.map(async (dir) => {
+            const realDir = await fs.realpath(dir).catch(() => null);
+            const relative = realDir ? path.relative(realDir, realPath) : '..';
+            return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        }));
+        if (!allowed.some(Boolean)) {
+            logger.log(`Відхилено filePath поза дозволеними каталогами: ${filePath}`, LogLevels.Warning, 'media');
+            throw new MediaInputError(403, 'filePath поза дозволеними каталогами');
+        }
+        const stat = await fs.stat(realPath);
+        if (!stat.isFile()) {
+            throw new MediaInputError(400, `Не є файлом: ${filePath}`);
+        }
+        this.assertSizeAllowed(stat.size);
+        const type = this.assertTypeAllowed(mimetype || mime.lookup(realPath) || '');
+        return { filePath: realPath, filename: path.basename(realPath), mimetype: type, owned: false };
+    }
+
+    // Видалення файлу, отриманого сервісом, після відправлення/скасування.
+    async release(message) {
+        if (!message?.ownedFile || !message.filePath) {
+            return;
+        }
+        try {
+            await fs.remove(message.filePath);
+        } catch (err) {
+            logger.log(`Не вдалося видалити тимчасовий медіафайл ${message.filePath}: ${err.message}`, LogLevels.Warning, 'media');
+        }
+    }
+}
+
+module.exports = { OutboundMediaStore, MediaInputError, sanitizeFilename };
@@ -0,0 +1,403 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Стани вихідного повідомлення в черзі.
+const OutboundStatuses = {
+    Queued: 'queued',
+    Sending: 'sending',
+    Sent: 'sent',
+    Failed: 'failed',
+    Cancelled: 'cancelled'
+};
+
+const FINAL_STATUSES = [OutboundStatuses.Sent, OutboundStatuses.Failed, OutboundStatuses.Cancelled];
+
+function isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status);
+}
+
+// Персистентна черга вихідних повідомлень по сесіях.
+// - повідомлення чекають, поки сесія не стане ready (перепідключення не губить їх);
+// - відправлення з пейсингом: ліміт повідомлень на хвилину, випадковий jitter, cool-down на отримувача;
+// - фінальний статус повідомляється подією 'final' (index.js передає його в CRM).
+class OutboundQueue extends EventEmitter {
+    constructor({
+        directory,
+        send,
+        isSessionReady,
+        ratePerMinute = 20,
+        jitterMs = 3000,
+        recipientCooldownMs = 5000,
+        maxAttempts = 3,
+        retryDelayMs = 15000,
+        resultTtlMs = 24 * 60 * 60 * 1000,
+        pollIntervalMs = 500,
+        saveDelayMs = 200,
+        maxHoldMs = 24 * 60 * 60 * 1000
+    }) {
+        super();
+        this.directory = directory;
+        this.send = send;
+        this.isSessionReady = isSessionReady;
+        this.ratePerMinute = ratePerMinute;
+        this.jitterMs = jitterMs;
+        this.recipientCooldownMs = recipientCooldownMs;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.resultTtlMs = resultTtlMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.saveDelayMs = saveDelayMs;
+        this.maxHoldMs = maxHoldMs;
+
+        // phone -> масив повідомлень (у порядку постановки), включно з нещодавно завершеними.
+        this.queues = new Map();
+        // phone -> час, раніше якого наступне повідомлення сесії не відправляється.
+        this.nextSendAt = new Map();
+        // `${phone}|${chatId}` -> час останнього відправлення цьому отримувачу (лише поки діє cool-down).
+        this.lastSentTo = new Map();
+        this.busyPhones = new Set();
+        this.writeChains = new Map();
+        // phone -> { timer, promise, resolve }: відкладений запис черги.
+        this.pendingSaves = new Map();
+        // id повідомлення -> Set(resolve) очікувачів фінального статусу (waitForFinal).
+        this.waiters = new Map();
+        this.pollTimer = null;
+        this.draining = false;
+
+        fs.ensureDirSync(this.directory);
+        this.load();
+    }
+
+    getQueuePath(phone) {
+        return path.join(this.directory, `${String(phone).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+    }
+
+    load() {
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+            try {
+                const items = fs.readJsonSync(path.join(this.directory, file));
+                if (!Array.isArray(items) || items.length === 0) {
+                    continue;
+                }
+                // Повідомлення, що були "в дорозі" під час зупинки, повертаємо в чергу.
+                for (const item of items) {
+                    if (item.status === OutboundStatuses.Sending) {
+                        item.status = OutboundStatuses.Queued;
+                        logger.log(`Повідомлення ${item.id} для ${item.phone} було у відправленні під час зупинки — повертаю в чергу`, LogLevels.Warning, 'outboundQueue');
+                    }
+                }
+                this.queues.set(items[0].phone, items);
+            } catch (err) {
+                logger.log(`Не вдалося прочитати чергу ${file}: ${err.message}`, LogLevels.Error, 'outboundQueue');
+            }
+        }
+
+        const pendingCount = [...this.queues.values()].flat().filter(item => !isFinalStatus(item.status)).length;
+        if (pendingCount > 0) {
+            logger.log(`Відновлено ${pendingCount} вихідних повідомлень у черзі`, LogLevels.Important, 'outboundQueue');
+        }
+    }
+
+    // Збереження черги сесії. Файл містить і завершені повідомлення (resultTtlMs), тому зміни за saveDelayMs
+    // об'єднуються в один запис; проміс завершується, коли зміни вже на диску. Записи однієї сесії — послідовні.
+    save(phone) {
+        let pending = this.pendingSaves.get(phone);
+        if (!pending) {
+            pending = { timer: setTimeout(() => this.flush(phone), this.saveDelayMs) };
+            pending.promise = new Promise((resolve) => { pending.resolve = resolve; });
+            this.pendingSaves.set(phone, pending);
+        }
+        return pending.promise;
+    }
+
+    flush(phone) {
+        const pending = this.pendingSaves.get(phone);
+        if (!pending) {
+            return this.writeChains.get(phone) || Promise.resolve();
+        }
+        clearTimeout(pending.timer);
+        this.pendingSaves.delete(phone);
+        const filePath = this.getQueuePath(phone);
+        const previous = this.writeChains.get(phone) || Promise.resolve();
+        const next = previous
+            .then(async () => {
+                // Стан на момент запису: pruneFinished міг замінити масив після постановки запису.
+                const items = this.queues.get(phone) || [];
+                if (items.length === 0) {
+                    await fs.remove(filePath);
+                    return;
+                }
+                const tmpPath = `${filePath}.tmp`;
+                await fs.writeJson(tmpPath, items);
+                await fs.move(tmpPath, filePath, { overwrite: true });
+            })
+            .catch((err) => {
+                logger.log(`Не вдалося зберегти чергу ${phone}: ${err.message}`, LogLevels.Error, 'outboundQueue');
+            });
+        this.writeChains.set(phone, next);
+        next.then(pending.resolve);
+        return next;
+    }
+
+    start() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.pollTimer = setInterval(() => this.processAll(), this.pollIntervalMs);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // Завершення процесу: нові відправлення не починаються (повідомлення лишаються в черзі на диску),
+    // поточні дочікуються разом із записом черг.
+    async drain() {
+        this.stop();
+        this.draining = true;
+        while (this.busyPhones.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        for (const phone of [...this.pendingSaves.keys()]) {
+            this.flush(phone);
+        }
+        await Promise.all(this.writeChains.values());
+    }
+
+    // Постановка повідомлення в чергу. message — серіалізований опис відправлення (chatId, текст, медіа).
+    async enqueue(phone, message, meta = {}) {
+        const now = Date.now();
+        const item = {
+            id: `${now}-${crypto.randomBytes(6).toString('hex')}`,
+            phone,
+            message,
+            correlationId: logger.getContext().correlationId || null,
+            ...meta,
+            status: OutboundStatuses.Queued,
+            attempts: 0,
+            createdAt: now,
+            notBefore: now,
+            messageId: null,
+            error: null
+        };
+
+        const items = this.queues.get(phone) || [];
+        items.push(item);
+        this.queues.set(phone, items);
+        await this.save(phone);
+
+        logger.log(`Повідомлення ${item.id} для ${phone} -> ${message.chatId} поставлено в чергу (позиція ${this.getPosition(item)})`, LogLevels.Info, 'outboundQueue');
+        this.processSession(phone);
+        return item;
+    }
+
+    // Позиція в черзі сесії (1 — наступне на відправлення); 0 — повідомлення вже завершене.
+    getPosition(item) {
+        if (isFinalStatus(item.status)) {
+            return 0;
+        }
+        const items = this.queues.get(item.phone) || [];
+        return items.filter(candidate => !isFinalStatus(candidate.status)).indexOf(item) + 1;
+    }
+
+    get(phone, id) {
+        return (this.queues.get(phone) || []).find(item => item.id === id) || null;
+    }
+
+    list(phone) {
+        return this.queues.get(phone) || [];
+    }
+
+    // Опис повідомлення для API (без тіла, з позицією).
+    describe(item) {
+        return {
+            id: item.id,
+            phone: item.phone,
+            to: item.message.chatId,
+            bitrixMessageId: item.bitrixMessageId || null,
+            status: item.status,
+            position: this.getPosition(item),
+            attempts: item.attempts,
+            createdAt: item.createdAt,
+            finishedAt: item.finishedAt || null,
+            messageId: item.messageId,
+            error: item.error
+        };
+    }
+
+    async cancel(phone, id, reason = 'cancelled') {
+        const item = this.get(phone, id);
+        if (!item || item.status !== OutboundStatuses.Queued) {
+            return null;
+        }
+        this.finish(item, OutboundStatuses.Cancelled, { error: reason });
+        await this.save(phone);
+        return item;
+    }
+
+    // Очікування фінального статусу (для синхронної відповіді /sendmsg). null — якщо не встигли.
+    waitForFinal(item, timeoutMs) {
+        if (isFinalStatus(item.status)) {
+            return Promise.resolve(item);
+        }
+        // Очікувачі по id, а не слухачі 'final': кожен /sendmsg і отримувач кампанії інакше додавав би
+        // ще один слухач на спільний emitter.
+        return new Promise((resolve) => {
+            const waiters = this.waiters.get(item.id) || new Set();
+            this.waiters.set(item.id, waiters);
+            const done = (result) => {
+                clearTimeout(timer);
+                waiters.delete(done);
+                if (waiters.size === 0) {
+                    this.waiters.delete(item.id);
+                }
+                resolve(result);
+            };
+            const timer = setTimeout(() => done(null), timeoutMs);
+            waiters.add(done);
+        });
+    }
+
+    // Сесія щойно стала ready — не чекаємо наступного тіку.
+    kick(phone) {
+        this.processSession(phone);
+    }
+
+    processAll() {
+        const now = Date.now();
+        this.pruneCooldowns(now);
+        for (const phone of this.queues.keys()) {
+            this.expireHeld(phone, now);
+            this.processSession(phone);
+        }
+    }
+
+    // Повідомлення, що чекають сесію довше за maxHoldMs (сесія не повертається), завершуються failed —
+    // відправник отримує фінальний статус замість вічного queued. 0 — тримати без обмежень.
+    expireHeld(phone, now) {
+        if (!this.maxHoldMs) {
+            return;
+        }
+        const expired = (this.queues.get(phone) || [])
+            .filter(item => item.status === OutboundStatuses.Queued && now - item.createdAt >= this.maxHoldMs);
+        for (const item of expired) {
+            this.finish(item, OutboundStatuses.Failed, { error: 'hold_timeout' });
+        }
+        if (expired.length > 0) {
+            this.save(phone);
+        }
+    }
+
+    // Записи cool-down потрібні лише recipientCooldownMs, інакше мапа росте з кожним новим отримувачем.
+    pruneCooldowns(now) {
+        for (const [key, sentAt] of this.lastSentTo) {
+            if (now - sentAt >= this.recipientCooldownMs) {
+                this.lastSentTo.delete(key);
+            }
+        }
+    }
+
+    // Інтервал між повідомленнями сесії: 60с / ratePerMinute + випадковий jitter.
+    getPacingDelay() {
+        const baseDelay = this.ratePerMinute > 0 ? Math.ceil(60000 / this.ratePerMinute) : 0;
+        return baseDelay + Math.floor(Math.random() * (this.jitterMs + 1));
+    }
+
+    // Наступне повідомлення, яке можна відправити зараз: найстаріше, чий отримувач не в cool-down.
+    pickNext(phone, now) {
+        return (this.queues.get(phone) || []).find((item) => {
+            if (item.status !== OutboundStatuses.Queued || item.notBefore > now) {
+                return false;
+            }
+            const lastSent = this.lastSentTo.get(`${phone}|${item.message.chatId}`) || 0;
+            return now - lastSent >= this.recipientCooldownMs;
+        });
+    }
+
+    async processSession(phone) {
+        if (this.draining || this.busyPhones.has(phone)) {
+            return;
+        }
+        const now = Date.now();
+        if ((this.nextSendAt.get(phone) || 0) > now) {
+            return;
+        }
+        this.pruneFinished(phone, now);
+
+        const item = this.pickNext(phone, now);
+        // Сесія перепідключається — тримаємо повідомлення в черзі до ready.
+        if (!item || !this.isSessionReady(phone)) {
+            return;
+        }
+
+        this.busyPhones.add(phone);
+        try {
+            // Логи відправлення — з correlation id запиту, що поставив повідомлення в чергу.
+            await logger.runWithContext({ correlationId: item.correlationId || undefined, phone }, () => this.deliver(item));
+        } finally {
+            this.nextSendAt.set(phone, Date.now() + this.getPacingDelay());
+            this.busyPhones.delete(phone);
+        }
+    }
+
+    async deliver(item) {
+        item.status = OutboundStatuses.Sending;
+        item.attempts += 1;
+
+        try {
+            const result = await this.send(item);
+            this.lastSentTo.set(`${item.phone}|${item.message.chatId}`, Date.now());
+            this.finish(item, OutboundStatuses.Sent, { messageId: result?.messageId || null });
+        } catch (err) {
+            if (item.attempts >= this.maxAttempts) {
+                this.finish(item, OutboundStatuses.Failed, { error: err.message });
+            } else {
+                item.status = OutboundStatuses.Queued;
+                item.error = err.message;
+                item.notBefore = Date.now() + this.retryDelayMs;
+                logger.log(`Помилка відправлення ${item.id} для ${item.phone} (спроба ${item.attempts}/${this.maxAttempts}): ${err.message}`, LogLevels.Warning, 'outboundQueue');
+            }
+        }
+        // Не чекаємо запису: інакше кожне відправлення тримало б сесію зайнятою saveDelayMs.
+        this.save(item.phone);
+    }
+
+    finish(item, status, updates = {}) {
+        Object.assign(item, updates, { status, finishedAt: Date.now() });
+        const level = status === OutboundStatuses.Sent ? LogLevels.Success : LogLevels.Warning;
+        logger.log(`Повідомлення ${item.id} для ${item.phone}: ${status}${item.error && status !== OutboundStatuses.Sent ? ` (${item.error})` : ''}`, level, 'outboundQueue');
+        this.emit('final', item);
+        for (const done of [...(this.waiters.get(item.id) || [])]) {
+            done(item);
+        }
+    }
+
+    // Завершені повідомлення зберігаються resultTtlMs, щоб їх статус можна було запитати.
+    pruneFinished(phone, now) {
+        const items = this.queues.get(phone);
+        if (!items) {
+            return;
+        }
+        const kept = items.filter(item => !isFinalStatus(item.status) || now - item.finishedAt < this.resultTtlMs);
+        if (kept.length === items.length) {
+            return;
+        }
+        if (kept.length === 0) {
+            this.queues.delete(phone);
+        } else {
+            this.queues.set(phone, kept);
+        }
+        this.save(phone);
+    }
+}
+
+module.exports = { OutboundQueue, OutboundStatuses, isFinalStatus };
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Стани записів outbox: pending — чекає доставки, dead — вичерпано спроби (dead-letter).
+const OutboxStates = {
+    Pending: 'pending',
+    Dead: 'dead'
+};
+
+// Дисковий outbox для webhook-викликів у CRM.
+// Кожен запис — окремий JSON-файл, тому payload переживає рестарт процесу і падіння CRM.
+class WebhookOutbox {
+    constructor({ directory, send, maxAttempts = 12, baseDelayMs = 5000, maxDelayMs = 15 * 60 * 1000, pollIntervalMs = 5000 }) {
+        this.directory = directory;
+        this.send = send;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.pollIntervalMs = pollIntervalMs;
+        // Pending-записи тримаємо в пам'яті (джерело істини — файли на диску).
+        this.pending = new Map();
+        this.isProcessing = false;
+        this.pollTimer = null;
+        this.draining = false;
+
+        for (const state of Object.values(OutboxStates)) {
+            fs.ensureDirSync(this.getStateDir(state));
+        }
+        this.loadPending();
+    }
+
+    getStateDir(state) {
+        return path.join(this.directory, state);
+    }
+
+    getEntryPath(state, id) {
+        // id генерується сервісом, але з API може прийти будь-що — відсікаємо спроби вийти з каталогу.
+        const safeId = String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+        return path.join(this.getStateDir(state), `${safeId}.json`);
+    }
+
+    // Відновлення незавершених доставок після рестарту.
+    loadPending() {
+        for (const file of fs.readdirSync(this.getStateDir(OutboxStates.Pending))) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+            try {
+                const entry = fs.readJsonSync(path.join(this.getStateDir(OutboxStates.Pending), file));
+                this.pending.set(entry.id, entry);
+            } catch (err) {
+                logger.log(`Не вдалося прочитати запис outbox ${file}: ${err.message}`, LogLevels.Error, 'outbox');
+            }
+        }
+        if (this.pending.size > 0) {
+            logger.log(`Відновлено ${this.pending.size} недоставлених webhook-записів`, LogLevels.Important, 'outbox');
+        }
+    }
+
+    // Атомарний запис: спочатку тимчасовий файл, потім rename, щоб не лишити обрізаний JSON.
+    async writeEntry(state, entry) {
+        const filePath = this.getEntryPath(state, entry.id);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeJson(tmpPath, entry);
+        await fs.move(tmpPath, filePath, { overwrite: true });
+    }
+
+    async removeEntry(state, id) {
+        await fs.remove(this.getEntryPath(state, id));
+    }
+
+    start() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.pollTimer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        this.processDue();
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // Завершення процесу: дочікуємося поточної доставки; решта pending-записів лишається на диску
+    // і буде доставлена після рестарту.
+    async drain() {
+        this.stop();
+        this.draining = true;
+        while (this.isProcessing) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    // Постановка payload у чергу доставки. Перша спроба виконується одразу.
+    async enqueue(url, payload, { event = 'message', phone = null } = {}) {
+        const now = Date.now();
+        const entry = {
+            id: `${now}-${crypto.randomBytes(6).toString('hex')}`,
+            event,
+            phone,
+            url,
+            payload,
+            // Correlation id запиту, що спричинив webhook, — для наскрізного пошуку в логах.
+            correlationId: logger.getContext().correlationId || null,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastError: null
+        };
+        await this.writeEntry(OutboxStates.Pending, entry);
+        this.pending.set(entry.id, entry);
+        this.processDue();
+        return entry;
+    }
+
+    // Експоненційна затримка: base * 2^(attempts-1), обмежена maxDelayMs.
+    getBackoffDelay(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** Math.max(attempts - 1, 0), this.maxDelayMs);
+    }
+
+    async processDue() {
+        if (this.isProcessing || this.draining) return;
+        this.isProcessing = true;
+
+        try {
+            const due = [...this.pending.values()]
+                .filter(entry => entry.nextAttemptAt <= Date.now())
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            for (const entry of due) {
+                if (this.draining) {
+                    break;
+                }
+                // Запис міг бути видалений через API, поки обробляли попередні.
+                if (!this.pending.has(entry.id)) {
+                    continue;
+                }
+                await logger.runWithContext({ correlationId: entry.correlationId || undefined, phone: entry.phone || undefined }, () => this.deliver(entry));
+            }
+        } catch (err) {
+            logger.log(`Помилка обробки outbox: ${err.message}`, LogLevels.Error, 'outbox');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async deliver(entry) {
+        entry.attempts += 1;
+        entry.lastAttemptAt = Date.now();
+
+        try {
+            const response = await this.send(entry);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText || ''}`.trim());
+            }
+
+            this.pending.delete(entry.id);
+            await this.removeEntry(OutboxStates.Pending, entry.id);
+            logger.log(`Webhook ${entry.event} (${entry.id}) доставлено до ${entry.url} зі спроби ${entry.attempts}`, LogLevels.Success, 'outbox');
+        } catch (err) {
+            // Поки чекали відповідь, запис могли видалити через DELETE /outbox/:state[/:id] — не відновлюємо його.
+            if (this.pending.get(entry.id) !== entry) {
+                logger.log(`Webhook ${entry.event} (${entry.id}) видалено під час доставки, результат спроби не зберігається`, LogLevels.Info, 'outbox');
+                return;
+            }
+            entry.lastError = err.message;
+
+            if (entry.attempts >= this.maxAttempts) {
+                this.pending.delete(entry.id);
+                entry.deadAt = Date.now();
+                await this.writeEntry(OutboxStates.Dead, entry);
+                await this.removeEntry(OutboxStates.Pending, entry.id);
+                logger.log(`Webhook ${entry.event} (${entry.id}) переміщено в dead-letter після ${entry.attempts} спроб: ${err.message}`, LogLevels.Error, 'outbox');
+                return;
+            }
+
+            const delayMs = this.getBackoffDelay(entry.attempts);
+            entry.nextAttemptAt = Date.now() + delayMs;
+            await this.writeEntry(OutboxStates.Pending, entry);
+            logger.log(`Webhook ${entry.event} (${entry.id}) не доставлено (спроба ${entry.attempts}/${this.maxAttempts}): ${err.message}. Повтор через ${Math.round(delayMs / 1000)} сек.`, LogLevels.Warning, 'outbox');
+        }
+    }
+
+    async list(state = OutboxStates.Pending) {
+        if (state === OutboxStates.Pending) {
+            return [...this.pending.values()].sort((a, b) => a.createdAt - b.createdAt);
+        }
+
+        const entries = [];
+        for (const file of await fs.readdir(this.getStateDir(state))) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+            try {
+                entries.push(await fs.readJson(path.join(this.getStateDir(state), file)));
+            } catch (err) {
+                logger.log(`Не вдалося прочитати запис outbox ${file}: ${err.message}`, LogLevels.Warning, 'outbox');
+            }
+        }
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Повторна доставка: dead-записи повертаються в pending з обнуленим лічильником,
+    // pending-записи просто стають "due" негайно. Без ids — обробляються всі записи стану.
+    async replay(state = OutboxStates.Dead, ids = null) {
+        const entries = (await this.list(state)).filter(entry => !ids || ids.includes(entry.id));
+
+        for (const entry of entries) {
+            entry.nextAttemptAt = Date.now();
+            if (state === OutboxStates.Dead) {
+                entry.attempts = 0;
+                delete entry.deadAt;
+                await this.writeEntry(OutboxStates.Pending, entry);
+                await this.removeEntry(OutboxStates.Dead, entry.id);
+                this.pending.set(entry.id, entry);
+            }
+        }
+
+        logger.log(`Повторна доставка ${entries.length} webhook-записів зі стану ${state}`, LogLevels.Important, 'outbox');
+        this.processDue();
+        return entries.length;
+    }
+
+    async purge(state = OutboxStates.Dead, ids = null) {
+        const entries = (await this.list(state)).filter(entry => !ids || ids.includes(entry.id));
+
+        for (const entry of entries) {
+            this.pending.delete(entry.id);
+            await this.removeEntry(state, entry.id);
+        }
+
+        logger.log(`Видалено ${entries.length} webhook-записів зі стану ${state}`, LogLevels.Important, 'outbox');
+        return entries.length;
+    }
+}
+
+module.exports = { WebhookOutbox, OutboxStates };
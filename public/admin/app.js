@@ -0,0 +1,229 @@
+// Адмін-панель працює лише через HTTP API сервісу (автентифікація — cookie після входу на login.html).
+const REFRESH_INTERVAL_MS = 10000;
+const LOG_TAIL_LINES = 200;
+
+const state = {
+    selectedPhone: null,
+    events: null,
+    expiryTimer: null
+};
+
+const $ = id => document.getElementById(id);
+
+async function api(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        credentials: 'same-origin',
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 401) {
+        window.location.href = 'login.html';
+        throw new Error('Потрібен вхід');
+    }
+    return response;
+}
+
+async function apiJson(method, url, body) {
+    const response = await api(method, url, body);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+function stateBadgeClass(session) {
+    if (session.healthy) return 'ok';
+    if (['qr', 'pairing_code', 'initializing', 'restoring', 'reinitializing', 'restarting', 'authenticated'].includes(session.state)) return 'warn';
+    return 'bad';
+}
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+function element(tag, props = {}, children = []) {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children);
+    return node;
+}
+
+function actionButton(label, className, handler) {
+    return element('button', { textContent: label, className, onclick: handler });
+}
+
+async function loadSessions() {
+    try {
+        const sessions = await apiJson('GET', '/sessions');
+        const rows = sessions
+            .sort((a, b) => a.phone.localeCompare(b.phone))
+            .map(session => element('tr', { className: session.phone === state.selectedPhone ? 'selected' : '' }, [
+                element('td', { textContent: session.phone }),
+                element('td', {}, [element('span', { className: `badge ${stateBadgeClass(session)}`, textContent: session.state })]),
+                element('td', { textContent: formatTime(session.lastUpdate) }),
+                element('td', { textContent: session.account ? `${session.account.pushname || ''} ${session.account.wid} ${session.account.platform || ''}` : '—' }),
+                element('td', { textContent: session.lineId ?? '' }),
+                element('td', { className: 'actions' }, [
+                    actionButton('Відкрити', 'secondary', () => selectSession(session.phone)),
+                    actionButton('Перезапустити', 'secondary', () => restartSession(session.phone)),
+                    actionButton('Видалити', 'danger', () => deleteSession(session.phone))
+                ])
+            ]));
+        $('sessions').replaceChildren(...rows);
+        $('sessions-updated').textContent = `оновлено ${new Date().toLocaleTimeString()}`;
+    } catch (err) {
+        $('sessions-updated').textContent = `помилка: ${err.message}`;
+    }
+}
+
+// Live-події сесії (SSE): нові QR/коди прив'язки і стан.
+function watchSession(phone) {
+    if (state.events) {
+        state.events.close();
+    }
+    state.events = new EventSource(`/sessions/${encodeURIComponent(phone)}/events`);
+    state.events.addEventListener('state', (event) => {
+        const data = JSON.parse(event.data);
+        $('tools-state').textContent = data.state;
+        if (!['qr', 'pairing_code'].includes(data.state)) {
+            $('linking').hidden = data.state !== 'timeout';
+            $('qr-image').hidden = true;
+            $('pairing-code').hidden = true;
+            $('linking-expiry').textContent = data.state === 'timeout' ? 'Час на прив\'язку минув — сесія перезапускається' : '';
+        }
+        loadSessions();
+    });
+    state.events.addEventListener('qr', (event) => {
+        const data = JSON.parse(event.data);
+        $('linking').hidden = false;
+        $('qr-image').src = data.qr;
+        $('qr-image').hidden = false;
+        $('pairing-code').hidden = true;
+        startExpiryCountdown(data.expiresAt);
+    });
+    state.events.addEventListener('pairing_code', (event) => {
+        const data = JSON.parse(event.data);
+        $('linking').hidden = false;
+        $('pairing-code').textContent = data.code;
+        $('pairing-code').hidden = false;
+        $('qr-image').hidden = true;
+        startExpiryCountdown(data.expiresAt);
+    });
+}
+
+function startExpiryCountdown(expiresAt) {
+    clearInterval(state.expiryTimer);
+    const update = () => {
+        const seconds = Math.max(Math.round((new Date(expiresAt) - Date.now()) / 1000), 0);
+        $('linking-expiry').textContent = `Дійсний ще ${seconds} сек.`;
+    };
+    update();
+    state.expiryTimer = setInterval(update, 1000);
+}
+
+function selectSession(phone) {
+    state.selectedPhone = phone;
+    $('session-tools').hidden = false;
+    $('tools-phone').textContent = phone;
+    $('tools-state').textContent = '';
+    $('linking').hidden = true;
+    $('test-message-result').textContent = '';
+    watchSession(phone);
+    loadLogs();
+    loadSessions();
+}
+
+async function restartSession(phone) {
+    if (!confirm(`Перезапустити сесію ${phone}?`)) return;
+    try {
+        await apiJson('POST', `/sessions/${encodeURIComponent(phone)}/restart`);
+        selectSession(phone);
+    } catch (err) {
+        alert(`Не вдалося перезапустити: ${err.message}`);
+    }
+}
+
+async function deleteSession(phone) {
+    if (!confirm(`Видалити сесію ${phone}? Пристрій буде від'єднано, потрібна повторна прив'язка.`)) return;
+    try {
+        await apiJson('DELETE', `/sessiondelete/${encodeURIComponent(phone)}`);
+        if (state.selectedPhone === phone) {
+            state.events?.close();
+            $('session-tools').hidden = true;
+            state.selectedPhone = null;
+        }
+        loadSessions();
+    } catch (err) {
+        alert(`Не вдалося видалити: ${err.message}`);
+    }
+}
+
+async function loadLogs() {
+    const phone = state.selectedPhone;
+    if (!phone) return;
+    try {
+        const response = await api('GET', `/logs/search?phone=${encodeURIComponent(phone)}&tail=${LOG_TAIL_LINES}`);
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(text);
+        }
+        $('log-lines').textContent = text.split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .map(entry => entry.raw || `[${entry.timestamp}] [${entry.level}] ${entry.message} (${entry.source})`)
+            .join('\n') || 'Записів за сьогодні немає';
+        $('log-lines').scrollTop = $('log-lines').scrollHeight;
+    } catch (err) {
+        $('log-lines').textContent = `Помилка читання логів: ${err.message}`;
+    }
+}
+
+$('register-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    const phone = String(form.get('phone')).trim();
+    try {
+        // Відповідь приходить з першим QR/кодом; далі стан і нові коди — через live-події.
+        const responsePromise = apiJson('POST', '/registerwhatsapp', {
+            phone,
+            lineId: form.get('lineId') || undefined,
+            mode: form.get('mode')
+        });
+        selectSession(phone);
+        const result = await responsePromise;
+        if (result.status === 'connected') {
+            alert('Сесія вже існує або активна');
+        }
+        loadSessions();
+    } catch (err) {
+        alert(`Помилка реєстрації: ${err.message}`);
+    }
+});
+
+$('test-message-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    const result = $('test-message-result');
+    result.textContent = 'Надсилання...';
+    try {
+        const data = await apiJson('POST', '/sendmsg', {
+            from: state.selectedPhone,
+            to: String(form.get('to')).trim(),
+            message: form.get('message')
+        });
+        result.textContent = `Статус: ${data.status}${data.messageId ? `, messageId ${data.messageId}` : ''}${data.queueId ? `, queueId ${data.queueId}` : ''}`;
+    } catch (err) {
+        result.textContent = `Помилка: ${err.message}`;
+    }
+});
+
+$('refresh-qr').addEventListener('click', () => restartSession(state.selectedPhone));
+$('refresh-logs').addEventListener('click', loadLogs);
+$('logout').addEventListener('click', async () => {
+    await fetch('logout', { method: 'POST', credentials: 'same-origin' });
+    window.location.href = 'login.html';
+});
+
+loadSessions();
+setInterval(loadSessions, REFRESH_INTERVAL_MS);
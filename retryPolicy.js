@@ -0,0 +1,104 @@
+// Політика повторних ініціалізацій сесій: експоненційна затримка з jitter і ліміт спроб для кожної причини.
+// Після вичерпання ліміту сесія переходить у given_up і не перезапускається, доки її не скинуть вручну
+// (POST /sessions/:phone/retry/reset), не зареєструють знову або вона не підключиться.
+
+// Ліміти спроб за категорією причини; 0 — без автоматичних повторів.
+const DEFAULT_RETRY_LIMITS = {
+    qr_timeout: 5,
+    pairing_code_timeout: 3,
+    auth_failure: 3,
+    // Користувач вийшов із пристрою на телефоні: повтор без нової прив'язки не має сенсу.
+    logout: 0,
+    disconnected: 20,
+    send_without_client: 5,
+    createSession: 10,
+    initializeClient: 10,
+    default: 10
+};
+
+// Категорія причини: "disconnected:NAVIGATION" -> "disconnected", "createSession: ..." -> "createSession".
+function getRetryCategory(reason) {
+    const text = String(reason || 'unknown');
+    const category = text.split(':')[0].trim() || 'unknown';
+    if (category === 'disconnected' && /LOGOUT/i.test(text)) {
+        return 'logout';
+    }
+    return category;
+}
+
+class RetryPolicy {
+    constructor({ baseDelayMs = 30000, maxDelayMs = 30 * 60 * 1000, jitterRatio = 0.2, limits = {} } = {}) {
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.jitterRatio = jitterRatio;
+        this.limits = { ...DEFAULT_RETRY_LIMITS, ...limits };
+        // phone -> { attempts: { category: n }, givenUp: { reason, category, attempts, at } | null, lastReason, lastDelayMs }
+        this.sessions = new Map();
+    }
+
+    // RETRY_LIMITS — JSON з лімітами за категоріями, наприклад {"qr_timeout":3,"disconnected":50}.
+    static fromEnv() {
+        return new RetryPolicy({
+            baseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS) || 30000,
+            maxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS) || 30 * 60 * 1000,
+            jitterRatio: Number(process.env.RETRY_JITTER_RATIO ?? 0.2),
+            limits: process.env.RETRY_LIMITS ? JSON.parse(process.env.RETRY_LIMITS) : {}
+        });
+    }
+
+    getLimit(category) {
+        return this.limits[category] ?? this.limits.default;
+    }
+
+    getSession(phone) {
+        if (!this.sessions.has(phone)) {
+            this.sessions.set(phone, { attempts: {}, givenUp: null, lastReason: null, lastDelayMs: null });
+        }
+        return this.sessions.get(phone);
+    }
+
+    computeDelay(attempt) {
+        const delayMs = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+        const jitter = delayMs * this.jitterRatio * (Math.random() * 2 - 1);
+        return Math.max(Math.round(delayMs + jitter), 0);
+    }
+
+    // Рішення щодо наступної спроби: { delayMs, attempt, maxAttempts, category } або { givenUp: true, ... }.
+    next(phone, reason) {
+        const session = this.getSession(phone);
+        const category = getRetryCategory(reason);
+        const maxAttempts = this.getLimit(category);
+        if (session.givenUp) {
+            return { givenUp: true, ...session.givenUp };
+        }
+
+        const attempt = (session.attempts[category] || 0) + 1;
+        session.lastReason = reason;
+        if (attempt > maxAttempts) {
+            session.givenUp = { reason, category, attempts: attempt - 1, maxAttempts, at: new Date().toISOString() };
+            return { givenUp: true, ...session.givenUp };
+        }
+        session.attempts[category] = attempt;
+        session.lastDelayMs = this.computeDelay(attempt);
+        return { delayMs: session.lastDelayMs, attempt, maxAttempts, category };
+    }
+
+    isGivenUp(phone) {
+        return !!this.sessions.get(phone)?.givenUp;
+    }
+
+    // Скидання лічильників (успішне підключення, ручне скидання, нова реєстрація).
+    reset(phone) {
+        this.sessions.delete(phone);
+    }
+
+    describe(phone) {
+        const session = this.sessions.get(phone);
+        if (!session) {
+            return { attempts: {}, givenUp: null, lastReason: null };
+        }
+        return { attempts: { ...session.attempts }, givenUp: session.givenUp, lastReason: session.lastReason };
+    }
+}
+
+module.exports = { RetryPolicy, DEFAULT_RETRY_LIMITS, getRetryCategory };
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Стани запланованого повідомлення.
+const ScheduleStatuses = {
+    Scheduled: 'scheduled',
+    Fired: 'fired',
+    Missed: 'missed',
+    Cancelled: 'cancelled'
+};
+
+// Помилка "сесія недоступна" під час спрацювання — повідомлення ще можна відправити в межах grace-вікна.
+class SessionUnavailableError extends Error {}
+
+// Час відправлення: ISO-рядок, Unix-секунди або Unix-мілісекунди. Повертає ms або NaN.
+function parseSendAt(value) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const numeric = Number(value);
+        // Менше 10^12 — це секунди.
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    return Date.parse(value);
+}
+
+// Персистентний планувальник повідомлень (DATA_DIR/scheduled.json).
+// Повідомлення спрацьовує через fire(item) — index.js ставить його в чергу сесії.
+class MessageScheduler extends EventEmitter {
+    constructor({ filePath, fire, misfireGraceMs = 5 * 60 * 1000, resultTtlMs = 7 * 24 * 60 * 60 * 1000, pollIntervalMs = 1000 }) {
+        super();
+        this.filePath = filePath;
+        this.fire = fire;
+        this.misfireGraceMs = misfireGraceMs;
+        this.resultTtlMs = resultTtlMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.items = new Map();
+        this.writeChain = Promise.resolve();
+        this.isProcessing = false;
+        this.pollTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            for (const item of fs.readJsonSync(this.filePath)) {
+                this.items.set(item.id, item);
+            }
+            const pending = [...this.items.values()].filter(item => item.status === ScheduleStatuses.Scheduled).length;
+            logger.log(`Завантажено ${pending} запланованих повідомлень`, LogLevels.Info, 'scheduler');
+        } catch (err) {
+            logger.log(`Не вдалося прочитати заплановані повідомлення: ${err.message}`, LogLevels.Error, 'scheduler');
+        }
+    }
+
+    save() {
+        const snapshot = [...this.items.values()];
+        this.writeChain = this.writeChain
+            .then(async () => {
+                const tmpPath = `${this.filePath}.tmp`;
+                await fs.writeJson(tmpPath, snapshot);
+                await fs.move(tmpPath, this.filePath, { overwrite: true });
+            })
+            .catch((err) => {
+                logger.log(`Не вдалося зберегти заплановані повідомлення: ${err.message}`, LogLevels.Error, 'scheduler');
+            });
+        return this.writeChain;
+    }
+
+    start() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.pollTimer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        this.processDue();
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // Завершення процесу: дочікуємося поточного проходу і запису файлу.
+    async drain() {
+        this.stop();
+        while (this.isProcessing) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await this.writeChain;
+    }
+
+    async schedule({ phone, sendAt, message, meta = {} }) {
+        const now = Date.now();
+        const item = {
+            id: `${now}-${crypto.randomBytes(6).toString('hex')}`,
+            phone,
+            sendAt,
+            message,
+            correlationId: logger.getContext().correlationId || null,
+            ...meta,
+            status: ScheduleStatuses.Scheduled,
+            createdAt: now,
+            updatedAt: now,
+            firedAt: null,
+            queueId: null,
+            error: null
+        };
+        this.items.set(item.id, item);
+        await this.save();
+        logger.log(`Заплановано повідомлення ${item.id} для ${phone} -> ${message.chatId} на ${new Date(sendAt).toISOString()}`, LogLevels.Info, 'scheduler');
+        return item;
+    }
+
+    get(phone, id) {
+        const item = this.items.get(id);
+        return item && item.phone === phone ? item : null;
+    }
+
+    list(phone, status = null) {
+        return [...this.items.values()]
+            .filter(item => item.phone === phone && (!status || item.status === status))
+            .sort((a, b) => a.sendAt - b.sendAt);
+    }
+
+    // Редагування можливе лише до спрацювання. updates: { sendAt?, message?, to?, bitrixMessageId? }.
+    async update(phone, id, updates) {
+        const item = this.get(phone, id);
+        if (!item || item.status !== ScheduleStatuses.Scheduled) {
+            return null;
+        }
+        if (updates.message) {
+            item.message = { ...item.message, ...updates.message };
+        }
+        for (const field of ['sendAt', 'to', 'bitrixMessageId']) {
+            if (updates[field] !== undefined) {
+                item[field] = updates[field];
+            }
+        }
+        item.updatedAt = Date.now();
+        await this.save();
+        return item;
+    }
+
+    // reason — причина в item.error (наприклад, session_deleted); для скасування через API — без причини.
+    async cancel(phone, id, reason = null) {
+        const item = this.get(phone, id);
+        if (!item || item.status !== ScheduleStatuses.Scheduled) {
+            return null;
+        }
+        item.status = ScheduleStatuses.Cancelled;
+        item.error = reason;
+        item.updatedAt = Date.now();
+        await this.save();
+        logger.log(`Заплановане повідомлення ${id} для ${phone} скасовано`, LogLevels.Info, 'scheduler');
+        this.emit('cancelled', item);
+        return item;
+    }
+
+    async processDue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const now = Date.now();
+            let changed = this.pruneFinished(now);
+            const due = [...this.items.values()]
+                .filter(item => item.status === ScheduleStatuses.Scheduled && item.sendAt <= now)
+                .sort((a, b) => a.sendAt - b.sendAt);
+
+            for (const item of due) {
+                const fired = await logger.runWithContext({ correlationId: item.correlationId || undefined, phone: item.phone }, () => this.fireItem(item, now));
+                changed = fired || changed;
+            }
+            if (changed) {
+                await this.save();
+            }
+        } catch (err) {
+            logger.log(`Помилка обробки запланованих повідомлень: ${err.message}`, LogLevels.Error, 'scheduler');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    markMissed(item, reason, now) {
+        item.status = ScheduleStatuses.Missed;
+        item.error = reason;
+        item.updatedAt = now;
+        logger.log(`Заплановане повідомлення ${item.id} для ${item.phone} ПРОПУЩЕНО (час ${new Date(item.sendAt).toISOString()}): ${reason}`, LogLevels.Error, 'scheduler');
+        this.emit('missed', item);
+    }
+
+    // true — якщо стан повідомлення змінився.
+    async fireItem(item, now) {
+        // Grace-вікно вичерпано (сесія чи сам сервіс були недоступні) — із запізненням не відправляємо.
+        if (now - item.sendAt > this.misfireGraceMs) {
+            this.markMissed(item, item.error || 'Час відправлення минув, поки сервіс був недоступний', now);
+            return true;
+        }
+
+        try {
+            const result = await this.fire(item);
+            item.status = ScheduleStatuses.Fired;
+            item.firedAt = now;
+            item.queueId = result?.queueId || null;
+            item.updatedAt = now;
+            logger.log(`Заплановане повідомлення ${item.id} для ${item.phone} передано в чергу (${item.queueId})`, LogLevels.Success, 'scheduler');
+            this.emit('fired', item);
+            return true;
+        } catch (err) {
+            // Сесія коротко недоступна (перепідключення) — пробуємо знову, поки не вийде grace-вікно.
+            if (err instanceof SessionUnavailableError) {
+                if (item.error !== err.message) {
+                    item.error = err.message;
+                    logger.log(`Заплановане повідомлення ${item.id}: ${err.message}. Очікую сесію ще ${Math.round((this.misfireGraceMs - (now - item.sendAt)) / 1000)} сек.`, LogLevels.Warning, 'scheduler');
+                    return true;
+                }
+                return false;
+            }
+
+            this.markMissed(item, err.message, now);
+            return true;
+        }
+    }
+
+    pruneFinished(now) {
+        let changed = false;
+        for (const [id, item] of this.items) {
+            if (item.status !== ScheduleStatuses.Scheduled && now - item.updatedAt > this.resultTtlMs) {
+                this.items.delete(id);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+}
+
+module.exports = { MessageScheduler, ScheduleStatuses, SessionUnavailableError, parseSendAt };
@@ -0,0 +1,321 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const { Logger: logger, LogLevels } = require('./logger');
+
+const SessionStoreModes = {
+    // Профілі лише в локальному .wwebjs_auth (LocalAuth), один екземпляр сервісу.
+    Local: 'local',
+    // Профілі в спільному сховищі (RemoteAuth) + оренди номерів між екземплярами.
+    Shared: 'shared'
+};
+
+// Блокування на час читання/запису оренди; старіше за цей час вважається залишеним упалим процесом.
+const LEASE_LOCK_STALE_MS = 10000;
+
+// Сховище профілів для RemoteAuth у спільному каталозі (NFS, SMB, спільний volume).
+// Інтерфейс store з whatsapp-web.js: RemoteAuth сам пакує профіль у <localDir>/<session>.zip і викликає save().
+class FileSessionStore {
+    constructor({ directory, localDir }) {
+        this.directory = path.join(directory, 'sessions');
+        this.localDir = localDir;
+        fs.ensureDirSync(this.directory);
+    }
+
+    getArchivePath(session) {
+        return path.join(this.directory, `${session}.zip`);
+    }
+
+    async sessionExists({ session }) {
+        return fs.pathExists(this.getArchivePath(session));
+    }
+
+    hasSession(session) {
+        return fs.existsSync(this.getArchivePath(session));
+    }
+
+    // Запис через тимчасовий файл: інший екземпляр не прочитає наполовину скопійований архів.
+    async save({ session }) {
+        const targetPath = this.getArchivePath(session);
+        const tmpPath = `${targetPath}.${process.pid}.tmp`;
+        await fs.copy(path.join(this.localDir, `${session}.zip`), tmpPath);
+        await fs.move(tmpPath, targetPath, { overwrite: true });
+        logger.log(`Профіль ${session} збережено в спільне сховище`, LogLevels.Info, 'sessionAuth');
+    }
+
+    async extract({ session, path: targetPath }) {
+        await fs.copy(this.getArchivePath(session), targetPath);
+    }
+
+    async delete({ session }) {
+        await fs.remove(this.getArchivePath(session));
+    }
+}
+
+// Оренди номерів: номер обслуговує лише екземпляр, що тримає неспливлу оренду (<directory>/leases/<id>.json).
+// Власник продовжує оренди кожні renewIntervalMs; якщо екземпляр зник, після ttlMs номер може забрати інший.
+// Події: 'lost' ({ phone, owner }) — оренду перехопив інший екземпляр; 'expired' (lease) — чужа оренда сплила.
+class SessionLeaseManager extends EventEmitter {
+    constructor({ directory, instanceId, ttlMs = 60000, renewIntervalMs = 15000 }) {
+        super();
+        this.directory = path.join(directory, 'leases');
+        this.instanceId = instanceId;
+        this.ttlMs = ttlMs;
+        this.renewIntervalMs = renewIntervalMs;
+        // Номери, оренду яких тримає цей екземпляр.
+        this.owned = new Map();
+        this.timer = null;
+        fs.ensureDirSync(this.directory);
+    }
+
+    getLeasePath(phone) {
+        return path.join(this.directory, `${String(phone).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+    }
+
+    read(phone) {
+        try {
+            return fs.readJsonSync(this.getLeasePath(phone));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    isExpired(lease, now = Date.now()) {
+        return !lease || lease.expiresAt <= now;
+    }
+
+    // Власник чинної оренди, якщо це інший екземпляр; інакше null.
+    getForeignOwner(phone) {
+        const lease = this.read(phone);
+        return lease && lease.owner !== this.instanceId && !this.isExpired(lease) ? lease.owner : null;
+    }
+
+    // Атомарність між екземплярами — через mkdir lock-каталогу (атомарний і на мережевих ФС).
+    withLock(phone, fn) {
+        const lockPath = `${this.getLeasePath(phone)}.lock`;
+        try {
+            fs.mkdirSync(lockPath);
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                throw err;
+            }
+            const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+            if (stat && Date.now() - stat.mtimeMs < LEASE_LOCK_STALE_MS) {
+                return null;
+            }
+            // Залишене блокування спершу перейменовуємо: rename вдається лише одному з екземплярів,
+            // тож чуже свіже блокування, створене між stat і видаленням, не буде знищене.
+            const stalePath = `${lockPath}.stale.${process.pid}.${Math.random().toString(36).slice(2)}`;
+            try {
+                fs.renameSync(lockPath, stalePath);
+            } catch (renameErr) {
+                if (renameErr.code === 'ENOENT') {
+                    return null;
+                }
+                throw renameErr;
+            }
+            fs.removeSync(stalePath);
+            try {
+                fs.mkdirSync(lockPath);
+            } catch (mkdirErr) {
+                if (mkdirErr.code === 'EEXIST') {
+                    return null;
+                }
+                throw mkdirErr;
+            }
+        }
+        try {
+            return fn();
+        } finally {
+            fs.removeSync(lockPath);
+        }
+    }
+
+    write(phone, lease) {
+        const leasePath = this.getLeasePath(phone);
+        const tmpPath = `${leasePath}.${process.pid}.tmp`;
+        fs.writeJsonSync(tmpPath, lease);
+        fs.moveSync(tmpPath, leasePath, { overwrite: true });
+    }
+
+    // Взяти або продовжити оренду. meta (lineId) зберігається в оренді — для екземпляра, що перейме номер.
+    // Повертає { acquired: true, lease } або { acquired: false, owner }.
+    acquire(phone, meta = {}) {
+        const result = this.withLock(phone, () => {
+            const now = Date.now();
+            const current = this.read(phone);
+            if (current && current.owner !== this.instanceId && !this.isExpired(current, now)) {
+                return { acquired: false, owner: current.owner };
+            }
+            const lease = {
+                phone,
+                owner: this.instanceId,
+                ...(current?.owner === this.instanceId ? { lineId: current.lineId ?? null } : {}),
+                ...meta,
+                acquiredAt: current?.owner === this.instanceId ? current.acquiredAt : now,
+                expiresAt: now + this.ttlMs
+            };
+            this.write(phone, lease);
+            return { acquired: true, lease, previousOwner: current?.owner !== this.instanceId ? current?.owner || null : null };
+        });
+        if (!result) {
+            return { acquired: false, owner: null };
+        }
+        if (result.acquired) {
+            if (!this.owned.has(phone) && result.previousOwner) {
+                logger.log(`Номер ${phone} перейнято від ${result.previousOwner} (оренда сплила)`, LogLevels.Important, 'sessionLease', { phone });
+            }
+            this.owned.set(phone, result.lease);
+        }
+        return result;
+    }
+
+    release(phone) {
+        if (!this.owned.has(phone)) {
+            return;
+        }
+        this.owned.delete(phone);
+        this.withLock(phone, () => {
+            if (this.read(phone)?.owner === this.instanceId) {
+                fs.removeSync(this.getLeasePath(phone));
+            }
+        });
+    }
+
+    releaseAll() {
+        for (const phone of [...this.owned.keys()]) {
+            this.release(phone);
+        }
+    }
+
+    owns(phone) {
+        return this.owned.has(phone);
+    }
+
+    list() {
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.read(path.basename(file, '.json')))
+            .filter(Boolean);
+    }
+
+    // Продовження власних оренд і пошук чужих, що сплили.
+    tick() {
+        for (const phone of [...this.owned.keys()]) {
+            const result = this.acquire(phone);
+            if (!result.acquired && result.owner) {
+                this.owned.delete(phone);
+                logger.log(`Оренду номера ${phone} перехопив екземпляр ${result.owner}`, LogLevels.Error, 'sessionLease', { phone });
+                this.emit('lost', { phone, owner: result.owner });
+            }
+        }
+        const now = Date.now();
+        for (const lease of this.list()) {
+            if (lease.owner !== this.instanceId && this.isExpired(lease, now)) {
+                this.emit('expired', lease);
+            }
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            try {
+                this.tick();
+            } catch (err) {
+                logger.log(`Помилка продовження оренд: ${err.message}`, LogLevels.Error, 'sessionLease');
+            }
+        }, this.renewIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Вибір стратегії авторизації для Client: LocalAuth (за замовчуванням) або RemoteAuth зі спільним сховищем.
+class SessionAuthProvider {
+    constructor({ mode = SessionStoreModes.Local, authDir, sharedDir = null, instanceId = os.hostname(), leaseTtlMs, leaseRenewMs, backupIntervalMs = 5 * 60 * 1000 }) {
+        this.mode = mode;
+        this.authDir = authDir;
+        this.instanceId = instanceId;
+        this.backupIntervalMs = backupIntervalMs;
+        this.store = null;
+        this.leases = null;
+        if (mode === SessionStoreModes.Shared) {
+            this.store = new FileSessionStore({ directory: sharedDir, localDir: authDir });
+            this.leases = new SessionLeaseManager({ directory: sharedDir, instanceId, ttlMs: leaseTtlMs, renewIntervalMs: leaseRenewMs });
+        }
+    }
+
+    // SESSION_STORE=shared вимагає SHARED_SESSION_DIR; INSTANCE_ID має бути унікальним для кожного екземпляра.
+    static fromEnv(authDir) {
+        const mode = String(process.env.SESSION_STORE || SessionStoreModes.Local).trim().toLowerCase();
+        if (!Object.values(SessionStoreModes).includes(mode)) {
+            throw new Error(`SESSION_STORE має бути ${Object.values(SessionStoreModes).join(' або ')}`);
+        }
+        if (mode === SessionStoreModes.Shared && !process.env.SHARED_SESSION_DIR) {
+            throw new Error('Для SESSION_STORE=shared потрібно задати SHARED_SESSION_DIR');
+        }
+        const leaseTtlMs = Number(process.env.SESSION_LEASE_TTL_MS) || 60000;
+        const leaseRenewMs = Number(process.env.SESSION_LEASE_RENEW_MS) || Math.floor(leaseTtlMs / 4);
+        if (leaseRenewMs >= leaseTtlMs) {
+            throw new Error('SESSION_LEASE_RENEW_MS має бути меншим за SESSION_LEASE_TTL_MS');
+        }
+        return new SessionAuthProvider({
+            mode,
+            authDir,
+            sharedDir: process.env.SHARED_SESSION_DIR ? path.resolve(process.env.SHARED_SESSION_DIR) : null,
+            instanceId: process.env.INSTANCE_ID || os.hostname(),
+            leaseTtlMs,
+            leaseRenewMs,
+            // RemoteAuth приймає інтервал резервного копіювання не менше 60 секунд.
+            backupIntervalMs: Math.max(Number(process.env.SESSION_BACKUP_INTERVAL_MS) || 5 * 60 * 1000, 60000)
+        });
+    }
+
+    get isShared() {
+        return this.mode === SessionStoreModes.Shared;
+    }
+
+    createStrategy(clientId) {
+        if (this.isShared) {
+            return new RemoteAuth({ clientId, dataPath: this.authDir, store: this.store, backupSyncIntervalMs: this.backupIntervalMs });
+        }
+        return new LocalAuth({ clientId, dataPath: this.authDir });
+    }
+
+    // Локальний каталог профілю Chromium (для RemoteAuth — розпакована копія архіву зі сховища).
+    getLocalSessionPath(clientId) {
+        return path.join(this.authDir, this.isShared ? `RemoteAuth-${clientId}` : `session-${clientId}`);
+    }
+
+    hasSavedSession(clientId) {
+        return this.isShared
+            ? this.store.hasSession(`RemoteAuth-${clientId}`)
+            : fs.existsSync(this.getLocalSessionPath(clientId));
+    }
+
+    // Видалення профілю зі спільного сховища (локальні каталоги чистить index.js).
+    async removeSharedSession(clientId) {
+        if (this.isShared) {
+            await this.store.delete({ session: `RemoteAuth-${clientId}` });
+        }
+    }
+
+    // Актуальна копія профілю в сховище перед закриттям клієнта (RemoteAuth сам робить це лише періодично).
+    async backup(client) {
+        if (this.isShared && client?.info && client.authStrategy instanceof RemoteAuth) {
+            await client.authStrategy.storeRemoteSession();
+        }
+    }
+}
+
+module.exports = { SessionAuthProvider, SessionLeaseManager, FileSessionStore, SessionStoreModes };
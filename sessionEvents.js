@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Стани, в яких актуальний QR або код прив'язки; після переходу в інший стан код більше не показуємо.
+const LINKING_STATES = ['qr', 'pairing_code'];
+
+// Типи подій шини.
+const SessionEventTypes = {
+    State: 'state',
+    Qr: 'qr',
+    PairingCode: 'pairing_code',
+    Message: 'message',
+    Outbound: 'outbound',
+    Ack: 'ack'
+};
+
+// Шина подій сесій для live-підписок (SSE, WebSocket): повідомлення, ack, QR/коди прив'язки і переходи станів.
+// Кожна подія отримує наскрізний id; останні replayLimit подій зберігаються для відновлення після перепідключення.
+// Id починаються з 1 після кожного запуску, тому разом з ними клієнт передає epoch — ідентифікатор запуску шини.
+// Для нових підписників SSE зберігається останній стан і актуальний QR/код кожного номера.
+class SessionEventBus extends EventEmitter {
+    constructor({ replayLimit = 1000 } = {}) {
+        super();
+        // Підписників (вкладок CRM, дашбордів) може бути багато — знімаємо ліміт слухачів.
+        this.setMaxListeners(0);
+        this.replayLimit = replayLimit;
+        this.buffer = [];
+        this.lastId = 0;
+        this.epoch = crypto.randomBytes(8).toString('hex');
+        this.lastState = new Map();
+        this.lastCode = new Map();
+    }
+
+    publish(phone, type, data = {}) {
+        this.lastId += 1;
+        const event = { id: this.lastId, type, phone, timestamp: new Date().toISOString(), ...data };
+        if (type === SessionEventTypes.State) {
+            this.lastState.set(phone, event);
+            if (!LINKING_STATES.includes(data.state)) {
+                this.lastCode.delete(phone);
+            }
+        } else if (LINKING_STATES.includes(type)) {
+            this.lastCode.set(phone, event);
+        }
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.replayLimit) {
+            this.buffer.shift();
+        }
+        this.emit(`session:${phone}`, event);
+        this.emit('event', event);
+        return event;
+    }
+
+    // Події після lastEventId. null — id з попереднього запуску (epoch не збігається) або частина подій
+    // вже витіснена з буфера, і клієнт має заново отримати стан через API.
+    since(lastEventId, epoch) {
+        if (epoch !== this.epoch || lastEventId > this.lastId) {
+            return null;
+        }
+        const oldestId = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+        if (lastEventId < oldestId - 1) {
+            return null;
+        }
+        return this.buffer.filter(event => event.id > lastEventId);
+    }
+
+    // Поточний стан і QR/код для щойно підключеного підписника.
+    snapshot(phone) {
+        return [this.lastState.get(phone), this.lastCode.get(phone)].filter(Boolean);
+    }
+
+    // Повертає функцію відписки.
+    subscribe(phone, listener) {
+        const channel = `session:${phone}`;
+        this.on(channel, listener);
+        return () => this.off(channel, listener);
+    }
+}
+
+module.exports = { SessionEventBus, SessionEventTypes };
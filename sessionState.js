@@ -0,0 +1,99 @@
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Стани життєвого циклу сесії.
+const SessionStates = {
+    Initializing: 'initializing',
+    Restoring: 'restoring',
+    Reinitializing: 'reinitializing',
+    Restarting: 'restarting',
+    Qr: 'qr',
+    PairingCode: 'pairing_code',
+    Timeout: 'timeout',
+    Authenticated: 'authenticated',
+    Ready: 'ready',
+    AuthFailure: 'auth_failure',
+    Disconnected: 'disconnected',
+    // Повторні ініціалізації припинено (retryPolicy); лише ручний перезапуск, скидання або нова реєстрація.
+    GivenUp: 'given_up',
+    Deleted: 'deleted',
+    // Клієнт закрито: процес сервісу завершується (SIGTERM/SIGINT) або оренду номера перейняв інший екземпляр.
+    Stopped: 'stopped'
+};
+
+const S = SessionStates;
+// Запуск клієнта: з нуля (QR), зі збереженої авторизації або повторна ініціалізація.
+const STARTING = [S.Initializing, S.Restoring, S.Reinitializing];
+// Клієнт запущений і ще може завершитись успіхом або помилкою.
+const CONNECTING = [S.Authenticated, S.Ready, S.AuthFailure, S.Disconnected];
+
+// Дозволені переходи: from -> [to]. null — сесії ще немає в цьому процесі.
+// restarting, deleted і stopped — дії оператора, дозволені з будь-якого стану.
+const TRANSITIONS = {
+    null: [...STARTING],
+    [S.Initializing]: [S.Qr, S.PairingCode, ...CONNECTING, S.GivenUp],
+    [S.Restoring]: [...CONNECTING, S.Reinitializing, S.GivenUp],
+    [S.Reinitializing]: [...CONNECTING, S.Restoring, S.GivenUp],
+    [S.Restarting]: [...STARTING],
+    [S.Qr]: [S.PairingCode, S.Timeout, ...CONNECTING],
+    [S.PairingCode]: [S.Qr, S.Timeout, ...CONNECTING],
+    [S.Timeout]: [S.Initializing, S.GivenUp],
+    [S.Authenticated]: [S.Ready, S.AuthFailure, S.Disconnected],
+    [S.Ready]: [S.Authenticated, S.Disconnected],
+    [S.AuthFailure]: [S.Initializing, S.Disconnected, S.GivenUp],
+    [S.Disconnected]: [...STARTING, S.GivenUp],
+    [S.GivenUp]: [...STARTING],
+    [S.Deleted]: [...STARTING],
+    // Оренду номера втрачено (спільне сховище) — номер може повернутися після спливу чужої оренди.
+    [S.Stopped]: [...STARTING]
+};
+const OPERATOR_STATES = [S.Restarting, S.Deleted, S.Stopped];
+
+function isTransitionAllowed(from, to) {
+    if (!Object.values(SessionStates).includes(to)) {
+        return false;
+    }
+    return OPERATOR_STATES.includes(to) || (TRANSITIONS[from] || []).includes(to);
+}
+
+// Контроль переходів станів сесій і обмежена історія переходів по кожному номеру.
+// Недозволений перехід (наприклад, пізній ready після видалення сесії) не змінює стан,
+// пишеться в лог і в історію з rejected: true.
+class SessionStateMachine {
+    constructor({ historyLimit = 200 } = {}) {
+        this.historyLimit = historyLimit;
+        this.histories = new Map();
+    }
+
+    // from — поточний стан (null, якщо сесії ще не було). Повторний той самий стан — не перехід.
+    // Повертає true, якщо перехід дозволено.
+    transition(phone, from, to, reason = null) {
+        if (from === to) {
+            return true;
+        }
+        const allowed = isTransitionAllowed(from, to);
+        const entry = { from, to, reason, at: new Date().toISOString() };
+        if (!allowed) {
+            entry.rejected = true;
+            logger.log(`Недозволений перехід стану сесії ${phone}: ${from} -> ${to}${reason ? ` (${reason})` : ''}. Стан лишається ${from}`, LogLevels.Warning, 'sessionState', { phone });
+        } else {
+            logger.log(`Стан сесії ${phone}: ${from} -> ${to}${reason ? ` (${reason})` : ''}`, LogLevels.Info, 'sessionState', { phone });
+        }
+        this.record(phone, entry);
+        return allowed;
+    }
+
+    record(phone, entry) {
+        const history = this.histories.get(phone) || [];
+        history.push(entry);
+        if (history.length > this.historyLimit) {
+            history.shift();
+        }
+        this.histories.set(phone, history);
+    }
+
+    history(phone) {
+        return [...(this.histories.get(phone) || [])];
+    }
+}
+
+module.exports = { SessionStates, SessionStateMachine, isTransitionAllowed };
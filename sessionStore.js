@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const { Logger: logger, LogLevels } = require('./logger');
+
+// Налаштування сесії за замовчуванням.
+const DEFAULT_SESSION_SETTINGS = {
+    // Пересилати в CRM повідомлення з групових чатів.
+    forwardGroups: false,
+    // Якщо список не порожній — пересилаються лише групи з цими id (xxx@g.us).
+    groupAllowlist: [],
+    // Строк зберігання отриманих медіа (днів); null — глобальний MEDIA_RETENTION_DAYS, 0 — без обмежень.
+    mediaRetentionDays: null
+};
+
+// Нормалізація id групи: дозволяємо передавати як "1203...@g.us", так і просто "1203...".
+function normalizeGroupId(groupId) {
+    const value = String(groupId || '').trim();
+    return value && !value.includes('@') ? `${value}@g.us` : value;
+}
+
+// Персистентні налаштування сесій (DATA_DIR/sessions.json): phone -> { phone, settings, profile, registration, updatedAt }.
+// profile — профіль браузера (див. browserProfile.js).
+// registration — локальний реєстр сесії { lineId, registeredAt, source, crmMissingSince }: з нього сесії
+// відновлюються після рестарту, коли CRM недоступна, і береться lineId для повторних ініціалізацій.
+class SessionStore {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.sessions = new Map();
+        // Ланцюжок записів: гарантує, що збереження не перекриваються.
+        this.writeChain = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            for (const record of fs.readJsonSync(this.filePath)) {
+                this.sessions.set(record.phone, record);
+            }
+        } catch (err) {
+            logger.log(`Не вдалося прочитати налаштування сесій: ${err.message}`, LogLevels.Error, 'sessionStore');
+        }
+    }
+
+    save() {
+        const snapshot = [...this.sessions.values()];
+        this.writeChain = this.writeChain
+            .then(async () => {
+                const tmpPath = `${this.filePath}.tmp`;
+                await fs.writeJson(tmpPath, snapshot, { spaces: 2 });
+                await fs.move(tmpPath, this.filePath, { overwrite: true });
+            })
+            .catch((err) => {
+                logger.log(`Не вдалося зберегти налаштування сесій: ${err.message}`, LogLevels.Error, 'sessionStore');
+            });
+        return this.writeChain;
+    }
+
+    get(phone) {
+        return this.sessions.get(phone) || null;
+    }
+
+    list() {
+        return [...this.sessions.values()];
+    }
+
+    getSettings(phone) {
+        return { ...DEFAULT_SESSION_SETTINGS, ...(this.sessions.get(phone)?.settings || {}) };
+    }
+
+    async updateSettings(phone, patch) {
+        const current = this.sessions.get(phone) || { phone, settings: {} };
+        const record = {
+            ...current,
+            settings: { ...current.settings, ...patch },
+            updatedAt: Date.now()
+        };
+        this.sessions.set(phone, record);
+        await this.save();
+        return this.getSettings(phone);
+    }
+
+    getProfile(phone) {
+        return { ...(this.sessions.get(phone)?.profile || {}) };
+    }
+
+    // Часткове оновлення профілю браузера; поле зі значенням null видаляється (повертається до типового).
+    async updateProfile(phone, patch) {
+        const current = this.sessions.get(phone) || { phone, settings: {} };
+        const profile = { ...(current.profile || {}), ...patch };
+        for (const [key, value] of Object.entries(profile)) {
+            if (value === null) {
+                delete profile[key];
+            }
+        }
+        this.sessions.set(phone, { ...current, profile, updatedAt: Date.now() });
+        await this.save();
+        return this.getProfile(phone);
+    }
+
+    getRegistration(phone) {
+        const registration = this.sessions.get(phone)?.registration;
+        return registration ? { ...registration } : null;
+    }
+
+    getLineId(phone) {
+        return this.sessions.get(phone)?.registration?.lineId ?? null;
+    }
+
+    listRegistered() {
+        return this.list().filter(record => record.registration);
+    }
+
+    // Нова реєстрація (через API або номер, відомий лише CRM). Порожній lineId не затирає відомий.
+    async register(phone, { lineId = null, source = 'api' } = {}) {
+        const current = this.sessions.get(phone) || { phone, settings: {} };
+        const registration = {
+            lineId: lineId ?? current.registration?.lineId ?? null,
+            registeredAt: Date.now(),
+            source,
+            crmMissingSince: null
+        };
+        this.sessions.set(phone, { ...current, registration, updatedAt: Date.now() });
+        await this.save();
+        return this.getRegistration(phone);
+    }
+
+    // Часткове оновлення реєстрації (звірка з CRM); для незареєстрованої сесії нічого не робить.
+    async updateRegistration(phone, patch) {
+        const current = this.sessions.get(phone);
+        if (!current?.registration) {
+            return null;
+        }
+        this.sessions.set(phone, { ...current, registration: { ...current.registration, ...patch }, updatedAt: Date.now() });
+        await this.save();
+        return this.getRegistration(phone);
+    }
+
+    // Видалення сесії: з реєстру прибираємо, налаштування і профіль лишаються для повторної реєстрації.
+    async unregister(phone) {
+        const current = this.sessions.get(phone);
+        if (!current?.registration) {
+            return;
+        }
+        const { registration, ...rest } = current;
+        this.sessions.set(phone, { ...rest, updatedAt: Date.now() });
+        await this.save();
+    }
+}
+
+// Валідація патчу налаштувань з API. Повертає { patch } або { error }.
+function validateSettingsPatch(body) {
+    const patch = {};
+    if (!body || typeof body !== 'object') {
+        return { error: 'Очікується JSON-об\'єкт налаштувань' };
+    }
+    if (body.forwardGroups !== undefined) {
+        if (typeof body.forwardGroups !== 'boolean') {
+            return { error: 'forwardGroups має бути boolean' };
+        }
+        patch.forwardGroups = body.forwardGroups;
+    }
+    if (body.groupAllowlist !== undefined) {
+        if (!Array.isArray(body.groupAllowlist)) {
+            return { error: 'groupAllowlist має бути масивом id груп' };
+        }
+        patch.groupAllowlist = [...new Set(body.groupAllowlist.map(normalizeGroupId).filter(Boolean))];
+    }
+    if (body.mediaRetentionDays !== undefined) {
+        if (body.mediaRetentionDays !== null && !(Number.isFinite(body.mediaRetentionDays) && body.mediaRetentionDays >= 0)) {
+            return { error: 'mediaRetentionDays має бути невід\'ємним числом або null' };
+        }
+        patch.mediaRetentionDays = body.mediaRetentionDays;
+    }
+    return { patch };
+}
+
+// Чи пересилати повідомлення з групи відповідно до налаштувань сесії.
+function isGroupForwardingAllowed(settings, groupId) {
+    if (!settings.forwardGroups) {
+        return false;
+    }
+    return settings.groupAllowlist.length === 0 || settings.groupAllowlist.includes(groupId);
+}
+
+module.exports = { SessionStore, DEFAULT_SESSION_SETTINGS, validateSettingsPatch, isGroupForwardingAllowed, normalizeGroupId };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Заголовки підпису вихідних викликів у CRM.
+const SignatureHeaders = {
+    Signature: 'X-Signature',
+    Timestamp: 'X-Signature-Timestamp',
+    Nonce: 'X-Signature-Nonce'
+};
+
+const SIGNATURE_VERSION = 'v1';
+
+// Рядок, що підписується: timestamp, nonce, метод, шлях із query та тіло запиту.
+// Метод і шлях входять у підпис, щоб перехоплений підпис не можна було використати для іншого endpoint.
+function buildSigningString(timestamp, nonce, method, url, body) {
+    const { pathname, search } = new URL(url);
+    return `${timestamp}.${nonce}.${String(method || 'GET').toUpperCase()}.${pathname}${search}.${body || ''}`;
+}
+
+function computeSignature(secret, signingString) {
+    return crypto.createHmac('sha256', secret).update(signingString).digest('hex');
+}
+
+// HMAC-підпис запитів спільним секретом. Підтримує два активні секрети для ротації:
+// запит підписується обома, і CRM приймає його, якщо збігся підпис будь-яким відомим їй секретом.
+class RequestSigner {
+    constructor({ secrets = [], toleranceSec = 300 } = {}) {
+        this.secrets = secrets.filter(Boolean);
+        this.toleranceSec = toleranceSec;
+    }
+
+    // WEBHOOK_SIGNING_SECRET — поточний секрет, WEBHOOK_SIGNING_SECRET_PREVIOUS — попередній (на час ротації).
+    static fromEnv() {
+        return new RequestSigner({
+            secrets: [process.env.WEBHOOK_SIGNING_SECRET, process.env.WEBHOOK_SIGNING_SECRET_PREVIOUS],
+            toleranceSec: Number(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SEC) || 300
+        });
+    }
+
+    get isEnabled() {
+        return this.secrets.length > 0;
+    }
+
+    // Заголовки для запиту. Без налаштованих секретів повертає порожній об'єкт.
+    sign(method, url, body = '') {
+        if (!this.isEnabled) {
+            return {};
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const signingString = buildSigningString(timestamp, nonce, method, url, body);
+        const signatures = this.secrets.map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, signingString)}`);
+
+        return {
+            [SignatureHeaders.Signature]: signatures.join(','),
+            [SignatureHeaders.Timestamp]: timestamp,
+            [SignatureHeaders.Nonce]: nonce
+        };
+    }
+
+    // Перевірка підпису (еталонна реалізація того, що має робити CRM).
+    // Захист від повторів: timestamp має бути в межах toleranceSec, а nonce одержувач
+    // зберігає на час вікна і відхиляє повторне використання.
+    verify({ method, url, body = '', headers = {} }) {
+        const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+        const timestamp = lowerHeaders[SignatureHeaders.Timestamp.toLowerCase()];
+        const nonce = lowerHeaders[SignatureHeaders.Nonce.toLowerCase()];
+        const header = lowerHeaders[SignatureHeaders.Signature.toLowerCase()];
+
+        if (!timestamp || !nonce || !header) {
+            return { valid: false, reason: 'missing_headers' };
+        }
+        if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > this.toleranceSec) {
+            return { valid: false, reason: 'timestamp_out_of_window' };
+        }
+
+        const signingString = buildSigningString(timestamp, nonce, method, url, body);
+        const received = header.split(',')
+            .map(part => part.trim().split('='))
+            .filter(([version, value]) => version === SIGNATURE_VERSION && value)
+            .map(([, value]) => Buffer.from(value, 'hex'));
+
+        const matched = this.secrets.some((secret) => {
+            const expected = Buffer.from(computeSignature(secret, signingString), 'hex');
+            return received.some(candidate => candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected));
+        });
+
+        return matched ? { valid: true, nonce } : { valid: false, reason: 'signature_mismatch' };
+    }
+}
+
+// Короткоживучі підписані посилання на медіа: HMAC від шляху і часу закінчення дії.
+// Посилання працює без API-ключа до expires, тож CRM може завантажити файл з іншого хоста.
+class MediaUrlSigner {
+    constructor({ secret, ttlSec = 3600, baseUrl }) {
+        this.secret = secret;
+        this.ttlSec = ttlSec;
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    }
+
+    // MEDIA_URL_SECRET (або WEBHOOK_SIGNING_SECRET); без секрету — випадковий на час роботи процесу.
+    static fromEnv(defaultBaseUrl) {
+        return new MediaUrlSigner({
+            secret: process.env.MEDIA_URL_SECRET || process.env.WEBHOOK_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+            ttlSec: Number(process.env.MEDIA_URL_TTL_SEC) || 3600,
+            baseUrl: process.env.PUBLIC_BASE_URL || defaultBaseUrl
+        });
+    }
+
+    computeSignature(pathname, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${pathname}.${expires}`).digest('hex');
+    }
+
+    // Повертає { url, expiresAt } для шляху виду /media/<phone>/<messageId>.
+    sign(pathname, now = Date.now()) {
+        const expires = Math.floor(now / 1000) + this.ttlSec;
+        const signature = this.computeSignature(pathname, expires);
+        return {
+            url: `${this.baseUrl}${pathname}?expires=${expires}&signature=${signature}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    verify(pathname, { expires, signature } = {}) {
+        if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+        const expected = Buffer.from(this.computeSignature(pathname, expires), 'hex');
+        const received = Buffer.from(String(signature), 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+}
+
+module.exports = { RequestSigner, SignatureHeaders, MediaUrlSigner };
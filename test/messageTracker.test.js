@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { MessageStatusStore } = require('../messageTracker');
+
+const PHONE = '380501234567';
+
+// Окремий тимчасовий файл на кожен тест; flush() знімає таймер відкладеного збереження.
+async function withStore(options, fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'message-status-'));
+    const store = new MessageStatusStore({ filePath: path.join(dir, 'statuses.json'), ...options });
+    try {
+        await fn(store);
+    } finally {
+        await store.flush();
+        await fs.remove(dir);
+    }
+}
+
+test('ack до track() буферизується і застосовується при track()', () => withStore({}, (store) => {
+    assert.equal(store.applyAck('msg-1', 2), null);
+    assert.equal(store.earlyAcks.size, 1);
+
+    const record = store.track({ messageId: 'msg-1', bitrixMessageId: 'b-1', phone: PHONE, to: '380671112233@c.us', ack: 1 });
+    assert.equal(record.status, 'delivered');
+    assert.equal(record.ack, 2);
+    assert.equal(store.earlyAcks.size, 0);
+}));
+
+test('у буфері лишається найвищий ack, error має пріоритет', () => withStore({}, (store) => {
+    store.applyAck('msg-1', 3);
+    store.applyAck('msg-1', 2);
+    assert.equal(store.earlyAcks.get('msg-1').ack, 3);
+    store.applyAck('msg-1', -1);
+    store.applyAck('msg-1', 4);
+    assert.equal(store.earlyAcks.get('msg-1').ack, -1);
+}));
+
+test('статус відстежуваного повідомлення лише зростає, крім error', () => withStore({}, (store) => {
+    store.track({ messageId: 'msg-1', phone: PHONE, to: '380671112233@c.us', ack: 1 });
+    assert.equal(store.applyAck('msg-1', 3).status, 'read');
+    assert.equal(store.applyAck('msg-1', 2), null);
+    assert.equal(store.get('msg-1').status, 'read');
+    assert.equal(store.applyAck('msg-1', -1).status, 'error');
+}));
+
+test('ack без id не буферизується', () => withStore({}, (store) => {
+    assert.equal(store.applyAck(undefined, 2), null);
+    assert.equal(store.earlyAcks.size, 0);
+}));
+
+test('прострочені ack-и і переповнення буфера витісняються', () => withStore({ earlyAckTtlMs: 1000, maxEarlyAcks: 2 }, (store) => {
+    store.applyAck('msg-1', 1);
+    store.applyAck('msg-2', 1);
+    store.applyAck('msg-3', 1);
+    assert.deepEqual([...store.earlyAcks.keys()], ['msg-2', 'msg-3']);
+
+    store.earlyAcks.get('msg-2').receivedAt -= 5000;
+    store.earlyAcks.get('msg-3').receivedAt -= 5000;
+    store.applyAck('msg-4', 1);
+    assert.deepEqual([...store.earlyAcks.keys()], ['msg-4']);
+}));
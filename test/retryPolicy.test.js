@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RetryPolicy, DEFAULT_RETRY_LIMITS, getRetryCategory } = require('../retryPolicy');
+const { SessionStates: S, isTransitionAllowed } = require('../sessionState');
+
+const PHONE = '380501234567';
+
+test('категорія причини без деталей помилки; LOGOUT — окрема категорія', () => {
+    assert.equal(getRetryCategory('qr_timeout'), 'qr_timeout');
+    assert.equal(getRetryCategory('createSession: Protocol error'), 'createSession');
+    assert.equal(getRetryCategory('disconnected:NAVIGATION'), 'disconnected');
+    assert.equal(getRetryCategory('disconnected:LOGOUT'), 'logout');
+    assert.equal(getRetryCategory(null), 'unknown');
+});
+
+test('експоненційна затримка без jitter, обмежена maxDelayMs', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, jitterRatio: 0 });
+    const delays = [1, 2, 3, 4, 5].map(() => policy.next(PHONE, 'disconnected:NAVIGATION').delayMs);
+    assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('jitter лишається в межах jitterRatio', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 10000, jitterRatio: 0.2 });
+    for (let i = 0; i < 50; i += 1) {
+        const delayMs = policy.computeDelay(1);
+        assert.ok(delayMs >= 8000 && delayMs <= 12000, `затримка ${delayMs} поза межами`);
+    }
+});
+
+test('ліміт рахується окремо для кожної категорії', () => {
+    const policy = new RetryPolicy({ jitterRatio: 0, limits: { auth_failure: 1 } });
+    assert.equal(policy.next(PHONE, 'auth_failure').attempt, 1);
+    // Інша категорія не витрачає ліміт auth_failure.
+    assert.equal(policy.next(PHONE, 'disconnected:NAVIGATION').attempt, 1);
+    const decision = policy.next(PHONE, 'auth_failure');
+    assert.equal(decision.givenUp, true);
+    assert.equal(decision.category, 'auth_failure');
+    assert.equal(decision.attempts, 1);
+});
+
+test('LOGOUT одразу given_up без повторів', () => {
+    const policy = new RetryPolicy();
+    assert.equal(DEFAULT_RETRY_LIMITS.logout, 0);
+    const decision = policy.next(PHONE, 'disconnected:LOGOUT');
+    assert.equal(decision.givenUp, true);
+    assert.equal(decision.attempts, 0);
+    assert.equal(policy.isGivenUp(PHONE), true);
+});
+
+test('після given_up рішення не змінюється до reset()', () => {
+    const policy = new RetryPolicy({ limits: { qr_timeout: 0 } });
+    policy.next(PHONE, 'qr_timeout');
+    assert.equal(policy.next(PHONE, 'disconnected:NAVIGATION').givenUp, true);
+    policy.reset(PHONE);
+    assert.equal(policy.isGivenUp(PHONE), false);
+    assert.equal(policy.next(PHONE, 'disconnected:NAVIGATION').attempt, 1);
+});
+
+// Незасканований QR: timeout -> повтор (initializing -> qr) -> timeout ... -> given_up після ліміту qr_timeout.
+test('таймаути QR з повторами завершуються given_up', () => {
+    const policy = new RetryPolicy({ jitterRatio: 0 });
+    let state = S.Initializing;
+    const moveTo = (to) => {
+        assert.ok(isTransitionAllowed(state, to), `перехід ${state} -> ${to} заборонено`);
+        state = to;
+    };
+
+    let retries = 0;
+    for (;;) {
+        moveTo(S.Qr);
+        moveTo(S.Timeout);
+        const decision = policy.next(PHONE, 'qr_timeout');
+        if (decision.givenUp) {
+            moveTo(S.GivenUp);
+            break;
+        }
+        retries += 1;
+        moveTo(S.Initializing);
+    }
+
+    assert.equal(retries, DEFAULT_RETRY_LIMITS.qr_timeout);
+    assert.equal(state, S.GivenUp);
+    assert.equal(policy.describe(PHONE).givenUp.category, 'qr_timeout');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStates: S, SessionStateMachine, isTransitionAllowed } = require('../sessionState');
+
+const PHONE = '380501234567';
+
+test('нова сесія починається лише зі стану запуску', () => {
+    assert.ok(isTransitionAllowed(null, S.Initializing));
+    assert.ok(isTransitionAllowed(null, S.Restoring));
+    assert.ok(!isTransitionAllowed(null, S.Ready));
+    assert.ok(!isTransitionAllowed(null, S.Qr));
+});
+
+test('основні шляхи підключення дозволені', () => {
+    const paths = [
+        [S.Initializing, S.Qr, S.Authenticated, S.Ready],
+        [S.Initializing, S.PairingCode, S.Authenticated, S.Ready],
+        [S.Restoring, S.Ready, S.Disconnected, S.Reinitializing, S.Ready],
+        [S.Initializing, S.Qr, S.Timeout, S.Initializing],
+        [S.Initializing, S.AuthFailure, S.GivenUp, S.Initializing]
+    ];
+    for (const path of paths) {
+        for (let i = 1; i < path.length; i += 1) {
+            assert.ok(isTransitionAllowed(path[i - 1], path[i]), `${path[i - 1]} -> ${path[i]}`);
+        }
+    }
+});
+
+test('дії оператора дозволені з будь-якого стану', () => {
+    for (const from of [null, ...Object.values(S)]) {
+        for (const to of [S.Restarting, S.Deleted, S.Stopped]) {
+            assert.ok(isTransitionAllowed(from, to), `${from} -> ${to}`);
+        }
+    }
+});
+
+test('невідомий стан і перехід із термінальних станів без запуску заборонені', () => {
+    assert.ok(!isTransitionAllowed(S.Ready, 'unknown'));
+    assert.ok(!isTransitionAllowed(S.Deleted, S.Ready));
+    assert.ok(!isTransitionAllowed(S.GivenUp, S.Ready));
+    assert.ok(!isTransitionAllowed(S.Timeout, S.Ready));
+});
+
+test('пізній ready після видалення відхиляється і потрапляє в історію з rejected', () => {
+    const machine = new SessionStateMachine();
+    assert.equal(machine.transition(PHONE, S.Qr, S.Deleted, 'sessiondelete'), true);
+    assert.equal(machine.transition(PHONE, S.Deleted, S.Ready), false);
+
+    const history = machine.history(PHONE);
+    assert.equal(history.length, 2);
+    assert.equal(history[0].rejected, undefined);
+    assert.equal(history[0].reason, 'sessiondelete');
+    assert.deepEqual({ from: history[1].from, to: history[1].to, rejected: history[1].rejected }, { from: S.Deleted, to: S.Ready, rejected: true });
+});
+
+test('той самий стан — не перехід і не пишеться в історію', () => {
+    const machine = new SessionStateMachine();
+    assert.equal(machine.transition(PHONE, S.Ready, S.Ready), true);
+    assert.equal(machine.history(PHONE).length, 0);
+});
+
+test('історія обмежена historyLimit', () => {
+    const machine = new SessionStateMachine({ historyLimit: 3 });
+    const states = [S.Initializing, S.Qr, S.Authenticated, S.Ready, S.Disconnected];
+    let from = null;
+    for (const to of states) {
+        machine.transition(PHONE, from, to);
+        from = to;
+    }
+    assert.deepEqual(machine.history(PHONE).map(entry => entry.to), [S.Authenticated, S.Ready, S.Disconnected]);
+});